@@ -1,10 +1,44 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const os = require('os');
+const { execFile } = require('child_process');
+const { parseXml, serializeXml, readPackageTypes, readPackageVersion, updatePackage, buildPackageXml } = require('./packageXml');
+const { getCacheEntry, setCacheEntry, clearCacheEntries } = require('./metadataCache');
+const { mapSourceFiles } = require('./sourceMetadata');
+const { addHistoryEntry, getHistoryEntries, getHistoryEntry } = require('./retrieveHistory');
+const { runSf, startSf, SfNotInstalledError } = require('./sfCli');
+const { interpretRetrieveResult, interpretRetrieveError, expandWildcardMembers } = require('./retrieveResult');
+const { MetadataTreeProvider } = require('./metadataTree');
+
+// Manifest used when the manager is not opened on a specific .xml file
+const DEFAULT_MANIFEST = 'manifest/package.xml';
+
+// Metadata types that cannot be retrieved with <members>*</members>
+const WILDCARD_UNSUPPORTED_TYPES = ['Dashboard', 'Document', 'EmailTemplate', 'Report', 'StandardValueSet'];
+
+// Number of metadata types listed at the same time while building the global search index
+const INDEX_CONCURRENCY = 4;
+
+// The most recently opened manager panel, whose manifest and org the context menu commands use
+let currentManager = null;
+
+// Directory of the per-org metadata cache in the extension's global storage, set on activation
+let metadataCacheDir = null;
+// Directory of the retrieve history in the workspace storage; null without a workspace
+let retrieveHistoryDir = null;
+// The extension's workspace state, holding the retrieve job that has not finished under PENDING_RETRIEVE_KEY
+let workspaceState = null;
+const PENDING_RETRIEVE_KEY = 'pendingRetrieve';
+// Retrieve jobs this window is waiting for, which are not offered for resuming
+const waitingRetrieveJobs = new Set();
 
 function activate(context) {
-    const disposable = vscode.commands.registerCommand('salesforce-metadata-manager.openManager', () => {
+    metadataCacheDir = path.join(context.globalStorageUri.fsPath, 'metadataCache');
+    retrieveHistoryDir = context.storageUri ? path.join(context.storageUri.fsPath, 'retrieveHistory') : null;
+    workspaceState = context.workspaceState;
+
+    const disposable = vscode.commands.registerCommand('salesforce-metadata-manager.openManager', (uri) => {
         const panel = vscode.window.createWebviewPanel(
             'metadataManager',
             'Salesforce Metadata Manager',
@@ -17,20 +51,160 @@ function activate(context) {
 
         panel.webview.html = getWebviewContent();
 
+        // Org alias or username passed as --target-org; undefined means the CLI default org
+        let targetOrg;
+        // Workspace-relative path of the manifest being edited, opened from the Explorer when an .xml file was right-clicked
+        let manifestPath = getManifestPathFromUri(uri) || DEFAULT_MANIFEST;
+        // Temp directory holding the files of the last retrieve preview, kept for the diff editor
+        let previewDir;
+        // Global search index build in progress; cancelled when a new build starts or the org changes
+        let indexBuild = null;
+        const cancelIndexBuild = () => {
+            if (indexBuild) {
+                indexBuild.cancelled = true;
+            }
+        };
+        // Org comparison in progress, cancelled the same way
+        let orgCompare = null;
+        const cancelOrgCompare = () => {
+            if (orgCompare) {
+                orgCompare.cancelled = true;
+            }
+        };
+
+        // Retrieve started from this panel, stopped with its Cancel button
+        let activeRetrieve = null;
+
+        const manager = { panel, disposed: false, getManifestPath: () => manifestPath, getTargetOrg: () => targetOrg };
+        currentManager = manager;
+
+        panel.onDidDispose(() => {
+            manager.disposed = true;
+            removePreviewDir(previewDir);
+            if (currentManager === manager) {
+                currentManager = null;
+            }
+        });
+
         panel.webview.onDidReceiveMessage(
             message => {
                 switch (message.command) {
+                    case 'getOrgs':
+                        handleGetOrgs(panel);
+                        break;
+                    case 'changeOrg':
+                        cancelIndexBuild();
+                        cancelOrgCompare();
+                        targetOrg = message.targetOrg || undefined;
+                        handleGetMetadataTypes(panel, targetOrg);
+                        break;
                     case 'getMetadataTypes':
-                        handleGetMetadataTypes(panel);
+                        handleGetMetadataTypes(panel, targetOrg, message.refresh);
                         break;
                     case 'getComponents':
-                        handleGetComponents(panel, message.metadataType);
+                        handleGetComponents(panel, message.metadataType, targetOrg, message.refresh);
                         break;
                     case 'createPackage':
-                        handleCreatePackage(message.components, panel);
+                        handleCreatePackage(message.components, manager, targetOrg, manifestPath, message.skipped || [], message.destination).then(retrieve => {
+                            activeRetrieve = retrieve;
+                        }).catch(error => showRetrieveStartError(panel, error));
+                        break;
+                    case 'cancelRetrieve':
+                        if (activeRetrieve) {
+                            activeRetrieve.cancel();
+                        }
+                        break;
+                    case 'previewRetrieve':
+                        handlePreviewRetrieve(message.components, panel, targetOrg, previewDir).then(newDir => {
+                            previewDir = newDir;
+                        }).catch(error => {
+                            panel.webview.postMessage({
+                                command: 'retrievePreviewError',
+                                errorMessage: error.message
+                            });
+                        });
+                        break;
+                    case 'openDiff':
+                        handleOpenDiff(message.localPath, message.orgPath);
+                        break;
+                    case 'openRetrievedFile':
+                        handleOpenRetrievedFile(message.filePath, message.reveal);
+                        break;
+                    case 'deployPackage':
+                        handleDeployPackage(message.components, message.deployOptions, panel, targetOrg, manifestPath).catch(error => {
+                            vscode.window.showErrorMessage(`Deployment failed: ${error.message}`);
+                            panel.webview.postMessage({
+                                command: 'updateRetrievalStatus',
+                                results: [],
+                                errorMessage: `Deployment failed: ${error.message}`
+                            });
+                        });
+                        break;
+                    case 'generateDestructive':
+                        handleGenerateDestructive(message.components, panel, targetOrg);
+                        break;
+                    case 'buildComponentIndex':
+                        cancelIndexBuild();
+                        indexBuild = { cancelled: false };
+                        handleBuildComponentIndex(panel, message.metadataTypes, message.buildId, targetOrg, indexBuild);
+                        break;
+                    case 'compareOrgs':
+                        cancelOrgCompare();
+                        orgCompare = { cancelled: false };
+                        handleCompareOrgs(panel, message.metadataTypes, message.compareId, targetOrg, message.otherOrg || undefined, orgCompare);
+                        break;
+                    case 'getObjects':
+                        handleGetObjects(panel, targetOrg);
+                        break;
+                    case 'getObjectComponents':
+                        handleGetObjectComponents(panel, message.objectName, message.requestId, targetOrg);
+                        break;
+                    case 'getDependencies':
+                        handleGetDependencies(panel, message.components, targetOrg);
                         break;
                     case 'loadExisting':
-                        handleLoadExisting(panel);
+                        handleLoadExisting(panel, manifestPath);
+                        break;
+                    case 'loadFromProject':
+                        handleLoadFromProject(panel);
+                        break;
+                    case 'getManifests':
+                        handleGetManifests(panel, manifestPath);
+                        break;
+                    case 'getRetrieveHistory':
+                        handleGetRetrieveHistory(panel);
+                        break;
+                    case 'openHistoryManifest':
+                        handleOpenHistoryManifest(message.id);
+                        break;
+                    case 'rerunHistoryEntry':
+                        handleRerunHistoryEntry(manager, message.id).then(retrieve => {
+                            activeRetrieve = retrieve;
+                        }).catch(error => showRetrieveStartError(panel, error));
+                        break;
+                    case 'switchManifest':
+                        manifestPath = message.manifestPath;
+                        handleSwitchManifest(panel, manifestPath);
+                        break;
+                    case 'newManifest':
+                        handleNewManifest(panel, targetOrg).then(newPath => {
+                            if (newPath) {
+                                manifestPath = newPath;
+                                handleGetManifests(panel, manifestPath);
+                                handleSwitchManifest(panel, manifestPath);
+                            }
+                        });
+                        break;
+                    case 'renameManifest':
+                        handleRenameManifest(manifestPath).then(newPath => {
+                            if (newPath) {
+                                manifestPath = newPath;
+                                handleGetManifests(panel, manifestPath);
+                            }
+                        });
+                        break;
+                    case 'openManifest':
+                        handleOpenManifest(manifestPath);
                         break;
                 }
             },
@@ -39,993 +213,3836 @@ function activate(context) {
         );
 
         setTimeout(() => {
-            handleGetMetadataTypes(panel);
+            handleGetMetadataTypes(panel, targetOrg);
         }, 100);
         
         setTimeout(() => {
-            handleLoadExisting(panel);
+            handleLoadExisting(panel, manifestPath);
         }, 1000);
+
+        // After the webview has loaded the manifest, so a resumed retrieve's components are not replaced
+        setTimeout(() => {
+            handlePendingRetrieve(manager).then(retrieve => {
+                if (retrieve) {
+                    activeRetrieve = retrieve;
+                }
+            });
+        }, 2000);
     });
 
     context.subscriptions.push(disposable);
+    context.subscriptions.push(vscode.commands.registerCommand('salesforce-metadata-manager.addToManifest', handleAddToManifest));
+    context.subscriptions.push(vscode.commands.registerCommand('salesforce-metadata-manager.retrieveFromOrg', handleRetrieveFromOrg));
+
+    // Sidebar tree of org metadata, loaded through the same cache as the manager
+    const metadataTree = new MetadataTreeProvider({
+        getOrgs: getAuthenticatedOrgs,
+        getMetadataTypes: (targetOrg, refresh) => getCachedValue(targetOrg, 'metadataTypes', refresh, () => getMetadataTypesFromSalesforce(targetOrg))
+            .then(cached => cached.value, error => {
+                // getMetadataTypesFromSalesforce rejects with a message
+                vscode.window.showErrorMessage(`Failed to fetch metadata types: ${error.message || error}`);
+                return [];
+            }),
+        getComponents: (metadataType, targetOrg, refresh) => getCachedValue(targetOrg, `components:${metadataType}`, refresh, () => getComponentsFromSalesforce(metadataType, targetOrg))
+            .then(cached => cached.value, error => {
+                vscode.window.showErrorMessage('Failed to fetch components: ' + error.message);
+                return [];
+            })
+    });
+    const metadataTreeView = vscode.window.createTreeView('salesforceOrgMetadata', {
+        treeDataProvider: metadataTree,
+        canSelectMany: true,
+        manageCheckboxStateManually: true
+    });
+    metadataTreeView.onDidChangeCheckboxState(event => metadataTree.setChecked(event.items));
+    context.subscriptions.push(metadataTreeView);
+    context.subscriptions.push(vscode.commands.registerCommand('salesforce-metadata-manager.refreshOrgMetadata', node => metadataTree.refresh(node)));
+    context.subscriptions.push(vscode.commands.registerCommand('salesforce-metadata-manager.clearOrgMetadataChecks', () => metadataTree.clearChecked()));
+    context.subscriptions.push(vscode.commands.registerCommand('salesforce-metadata-manager.addTreeItemsToManifest', (node, nodes) => handleTreeAction(metadataTree, node, nodes, addComponentsToManifest)));
+    context.subscriptions.push(vscode.commands.registerCommand('salesforce-metadata-manager.retrieveTreeItems', (node, nodes) => handleTreeAction(metadataTree, node, nodes, retrieveComponentsFromOrg)));
 }
 
-async function handleGetMetadataTypes(panel) {
+async function handleGetOrgs(panel) {
+    const orgs = await getAuthenticatedOrgs();
+    panel.webview.postMessage({
+        command: 'orgsLoaded',
+        orgs: orgs
+    });
+}
+
+async function handleGetMetadataTypes(panel, targetOrg, refresh) {
     try {
-        const metadataTypes = await getMetadataTypesFromSalesforce();
+        const cached = await getCachedValue(targetOrg, 'metadataTypes', refresh, () => getMetadataTypesFromSalesforce(targetOrg));
         panel.webview.postMessage({
             command: 'metadataTypesLoaded',
-            metadataTypes: metadataTypes
+            metadataTypes: cached.value,
+            refreshedAt: cached.timestamp,
+            targetOrg: targetOrg || ''
         });
     } catch (error) {
         panel.webview.postMessage({
             command: 'metadataTypesError',
-            errorMessage: error
+            errorMessage: error,
+            targetOrg: targetOrg || ''
         });
     }
 }
 
-async function handleGetComponents(panel, metadataType) {
+async function handleGetComponents(panel, metadataType, targetOrg, refresh) {
     try {
-        const components = await getComponentsFromSalesforce(metadataType);
+        const [cached, currentUser] = await Promise.all([
+            getCachedValue(targetOrg, `components:${metadataType}`, refresh, () => getComponentsFromSalesforce(metadataType, targetOrg)),
+            // Used by the "modified by me" filter
+            getCachedValue(targetOrg, 'currentUserId', false, () => getCurrentUserInfo(targetOrg))
+        ]);
         panel.webview.postMessage({
             command: 'componentsLoaded',
-            components: components
+            components: cached.value,
+            metadataType: metadataType,
+            currentUserId: currentUser.value,
+            refreshedAt: cached.timestamp,
+            targetOrg: targetOrg || ''
         });
     } catch (error) {
         vscode.window.showErrorMessage('Failed to fetch components: ' + error.message);
     }
 }
 
-async function handleCreatePackage(components, panel) {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-    if (!workspaceFolder) {
-        vscode.window.showErrorMessage('No workspace folder found');
-        // Hide spinner on error
-        panel.webview.postMessage({
-            command: 'updateRetrievalStatus',
-            results: [],
-            errorMessage: 'No workspace folder found'
-        });
-        return;
-    }
-
-    const manifestDir = path.join(workspaceFolder.uri.fsPath, 'manifest');
-    if (!fs.existsSync(manifestDir)) {
-        fs.mkdirSync(manifestDir);
-    }
-
-    const packageXml = await generatePackageXml(components);
-    const packagePath = path.join(manifestDir, 'package.xml');
-    
-    fs.writeFileSync(packagePath, packageXml);
-    retrieveMetadata(workspaceFolder.uri.fsPath, components, panel);
+// Lists the components of every metadata type for the global search, posting each type as it is loaded.
+// Component lists come from the cache where possible.
+async function handleBuildComponentIndex(panel, metadataTypes, buildId, targetOrg, build) {
+    let done = 0;
+    await runWithConcurrency(metadataTypes, INDEX_CONCURRENCY, async metadataType => {
+        if (build.cancelled) {
+            return;
+        }
+        let components = [];
+        let errorMessage = null;
+        try {
+            const cached = await getCachedValue(targetOrg, `components:${metadataType}`, false, () => listComponentsFromSalesforce(metadataType, targetOrg));
+            components = cached.value;
+        } catch (error) {
+            // Types that cannot be listed are left out of the index
+            errorMessage = error.message;
+        }
+        done++;
+        if (!build.cancelled) {
+            panel.webview.postMessage({
+                command: 'componentIndexProgress',
+                buildId: buildId,
+                metadataType: metadataType,
+                components: components,
+                errorMessage: errorMessage,
+                done: done,
+                total: metadataTypes.length
+            });
+        }
+    });
 }
 
-function handleLoadExisting(panel) {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-    if (!workspaceFolder) return;
+// Lists the components of each metadata type in the target org and in otherOrg, posting the members that differ type by type
+async function handleCompareOrgs(panel, metadataTypes, compareId, targetOrg, otherOrg, compare) {
+    let done = 0;
+    await runWithConcurrency(metadataTypes, INDEX_CONCURRENCY, async metadataType => {
+        if (compare.cancelled) {
+            return;
+        }
+        let differences = [];
+        let errorMessage = null;
+        try {
+            // Both lists are reloaded, since cached ones would report differences that no longer exist
+            const key = `components:${metadataType}`;
+            const [components, otherComponents] = await Promise.all([
+                getCachedValue(targetOrg, key, true, () => listComponentsFromSalesforce(metadataType, targetOrg)),
+                getCachedValue(otherOrg, key, true, () => listComponentsFromSalesforce(metadataType, otherOrg))
+            ]);
+            differences = compareComponentLists(components.value, otherComponents.value);
+        } catch (error) {
+            errorMessage = error.message;
+        }
+        done++;
+        if (!compare.cancelled) {
+            panel.webview.postMessage({
+                command: 'orgCompareProgress',
+                compareId: compareId,
+                metadataType: metadataType,
+                differences: differences,
+                errorMessage: errorMessage,
+                done: done,
+                total: metadataTypes.length
+            });
+        }
+    });
+}
 
-    const packagePath = path.join(workspaceFolder.uri.fsPath, 'manifest', 'package.xml');
-    if (fs.existsSync(packagePath)) {
-        const components = parseExistingPackage(packagePath);
+// Sends the object names for the object-first picker
+async function handleGetObjects(panel, targetOrg) {
+    try {
+        const cached = await getCachedValue(targetOrg, 'components:CustomObject', false, () => listComponentsFromSalesforce('CustomObject', targetOrg));
         panel.webview.postMessage({
-            command: 'loadExistingComponents',
-            components: components
+            command: 'objectsLoaded',
+            objects: cached.value.map(comp => comp.apiName),
+            targetOrg: targetOrg || ''
+        });
+    } catch (error) {
+        panel.webview.postMessage({
+            command: 'objectsLoaded',
+            objects: [],
+            errorMessage: error.message || String(error),
+            targetOrg: targetOrg || ''
         });
     }
 }
 
-function parseExistingPackage(packagePath) {
-    const content = fs.readFileSync(packagePath, 'utf8');
-    const components = [];
-    
-    const typeRegex = /<types>([\s\S]*?)<\/types>/g;
-    let typeMatch;
-    
-    while ((typeMatch = typeRegex.exec(content)) !== null) {
-        const typeContent = typeMatch[1];
-        const nameMatch = typeContent.match(/<name>(.*?)<\/name>/);
-        const metadataType = nameMatch ? nameMatch[1] : '';
-        
-        const memberRegex = /<members>(.*?)<\/members>/g;
-        let memberMatch;
-        const members = [];
-        
-        // Collect all members for this type
-        while ((memberMatch = memberRegex.exec(typeContent)) !== null) {
-            members.push(memberMatch[1]);
-        }
-        
-        // Filter out folders for Dashboard, Document, and EmailTemplate
-        if (['Dashboard', 'Document', 'EmailTemplate'].includes(metadataType)) {
-            members.forEach(member => {
-                const memberWithSlash = member + '/';
-                const isFolder = members.some(otherMember => 
-                    otherMember !== member && otherMember.startsWith(memberWithSlash)
-                );
-                
-                if (!isFolder) {
-                    components.push({
-                        name: member,
-                        apiName: member,
-                        type: metadataType
-                    });
-                }
-            });
-        } else {
-            // For other metadata types, add all members
-            members.forEach(member => {
-                components.push({
-                    name: member,
-                    apiName: member,
-                    type: metadataType
-                });
-            });
-        }
+// Lists the members of every CustomObject child type (fields, record types, validation rules...) that belong to one object
+async function handleGetObjectComponents(panel, objectName, requestId, targetOrg) {
+    let childTypes = [];
+    try {
+        const metadataTypes = await getCachedValue(targetOrg, 'metadataTypes', false, () => getMetadataTypesFromSalesforce(targetOrg));
+        childTypes = metadataTypes.value.filter(type => type.parent === 'CustomObject').map(type => type.name);
+    } catch (error) {
+        // Reported below as an object without child types
     }
-    
-    return components;
-}
 
-function retrieveMetadata(workspacePath, components, panel) {
-    exec('sf project retrieve start --manifest manifest/package.xml --ignore-conflicts --json',
-        { cwd: workspacePath },
-        (error, stdout, stderr) => {
-            // If there's a command execution error, hide spinner and show error
-            if (error) {
-                // Try to parse stdout for error information first, since it contains structured error data
-                let errorMessage = error.message || 'Retrieval failed';
-                
-                // Check stdout for structured error information
-                if (stdout) {
-                    try {
-                        const stdoutResult = JSON.parse(stdout);
-                        if (stdoutResult.status === 1 && stdoutResult.message) {
-                            errorMessage = stdoutResult.message;
-                        }
-                    } catch (parseError) {
-                        // Parsing failed, continue with other error sources
-                    }
-                }
-                
-                // If no stdout error, try stderr
-                if (errorMessage === (error.message || 'Retrieval failed') && stderr) {
-                    try {
-                        const errorResult = JSON.parse(stderr);
-                        errorMessage = errorResult.message || errorResult.error || stderr;
-                    } catch (parseError) {
-                        // If parsing fails, use stderr as the error message
-                        if (stderr.trim()) {
-                            errorMessage = stderr.trim();
-                        }
-                    }
-                }
-                
-                // Treat 'Could not find HEAD' as success regardless of where the error message comes from
-                if (errorMessage.includes('Metadata API request failed: Could not find HEAD.')) {
-                    const results = components.map((comp, index) => ({
-                        index: index,
-                        status: 'Success'
-                    }));
-                    panel.webview.postMessage({
-                        command: 'updateRetrievalStatus',
-                        results: results,
-                        errorMessage: null
-                    });
-                    return;
-                }
-                
-                panel.webview.postMessage({
-                    command: 'updateRetrievalStatus',
-                    results: components.map((comp, index) => ({ index, status: 'Failed' })),
-                    errorMessage: errorMessage
-                });
-                return;
-            }
-            const results = [];
-            let errorMessage = null;
-            let errorType = null; // 'command' or 'component'
-            
-            try {
-                const result = JSON.parse(stdout || '{}');
-                
-                if (result.status === 1) {
-                    // Command-level error (Type 1)
-                    errorType = 'command';
-                    errorMessage = result.message || 'Retrieval failed';
-                    
-                    // Treat 'Could not find HEAD' as success
-                    if (errorMessage.includes('Metadata API request failed: Could not find HEAD.')) {
-                        components.forEach((comp, index) => {
-                            results.push({
-                                index: index,
-                                status: 'Success'
-                            });
-                        });
-                        errorMessage = null;
-                    } else {
-                        components.forEach((comp, index) => {
-                            results.push({
-                                index: index,
-                                status: 'Failed',
-                                errorMessage: errorMessage
-                            });
-                        });
-                    }
-                } else if (result.status === 0) {
-                    // Command successful, check individual components (Type 2)
-                    const files = result.result?.files || [];
-                    const failedFiles = files.filter(file => file.state === 'Failed');
-                    
-                    if (failedFiles.length > 0) {
-                        errorType = 'component';
-                        // Build component-specific error messages with bullets and spacing
-                        const componentErrors = failedFiles.map(file =>
-                            `• <strong>${file.fullName} (${file.type})</strong> - ${file.error || file.problem || 'Unknown error'}`
-                        );
-                        errorMessage = componentErrors.join('<br><br>');
-                    }
-                    
-                    // Map component results
-                    components.forEach((comp, index) => {
-                        const failedFile = failedFiles.find(file => file.fullName === comp.apiName);
-                        const errorMessage = failedFile ? (failedFile.error || failedFile.problem || 'Component retrieval failed') : null;
-                        results.push({
-                            index: index,
-                            status: failedFile ? 'Failed' : 'Success',
-                            errorMessage: errorMessage
-                        });
-                    });
-                } else {
-                    // Fallback for unknown status
-                    components.forEach((comp, index) => {
-                        results.push({
-                            index: index,
-                            status: 'Success'
-                        });
-                    });
-                }
-            } catch (e) {
-                // JSON parsing failed, treat as command error
-                errorType = 'command';
-                // Try to get more specific error information
-                if (stderr) {
-                    try {
-                        const errorResult = JSON.parse(stderr);
-                        errorMessage = errorResult.message || errorResult.error || stderr;
-                    } catch (parseError) {
-                        // If parsing fails, use stderr as the error message
-                        if (stderr.trim()) {
-                            errorMessage = stderr.trim();
-                        } else {
-                            errorMessage = error?.message || 'Retrieval failed';
-                        }
-                    }
-                } else {
-                    errorMessage = error?.message || 'Retrieval failed';
-                }
-                
-                // Treat 'Could not find HEAD' as success regardless of where the error message comes from
-                if (errorMessage.includes('Metadata API request failed: Could not find HEAD.')) {
-                    components.forEach((comp, index) => {
-                        results.push({
-                            index: index,
-                            status: 'Success'
-                        });
-                    });
-                    errorMessage = null;
-                } else {
-                    components.forEach((comp, index) => {
-                        results.push({
-                            index: index,
-                            status: 'Failed',
-                            errorMessage: errorMessage
-                        });
-                    });
-                }
-            }
-            
-            panel.webview.postMessage({
-                command: 'updateRetrievalStatus',
-                results: results,
-                errorMessage: errorMessage,
-                errorType: errorType
+    const children = [];
+    await runWithConcurrency(childTypes, INDEX_CONCURRENCY, async metadataType => {
+        try {
+            const cached = await getCachedValue(targetOrg, `components:${metadataType}`, false, () => listComponentsFromSalesforce(metadataType, targetOrg));
+            children.push({
+                type: metadataType,
+                components: cached.value.filter(comp => comp.apiName.startsWith(`${objectName}.`))
             });
+        } catch (error) {
+            children.push({ type: metadataType, components: [], errorMessage: error.message });
         }
-    );
+    });
+
+    panel.webview.postMessage({
+        command: 'objectComponentsLoaded',
+        requestId: requestId,
+        objectName: objectName,
+        children: children.sort((a, b) => a.type.localeCompare(b.type))
+    });
 }
 
-async function generatePackageXml(components) {
-    const apiVersion = await getLatestApiVersion();
-    const groupedComponents = {};
-    
+// Members in only one of the lists, or in both with a different last modified date
+function compareComponentLists(components, otherComponents) {
+    const others = new Map(otherComponents.map(comp => [comp.apiName, comp]));
+    const differences = [];
     components.forEach(comp => {
-        if (!groupedComponents[comp.type]) {
-            groupedComponents[comp.type] = [];
-        }
-        
-        // For folder-based metadata, add folder paths
-        if (['Dashboard', 'Document', 'EmailTemplate'].includes(comp.type)) {
-            // Extract folder path from the component's full path
-            const fullPath = comp.apiName;
-            const lastSlashIndex = fullPath.lastIndexOf('/');
-            
-            if (lastSlashIndex > -1) {
-                const folderPath = fullPath.substring(0, lastSlashIndex);
-                const folderParts = folderPath.split('/');
-                let currentPath = '';
-                
-                // Add each folder level
-                folderParts.forEach(part => {
-                    currentPath = currentPath ? `${currentPath}/${part}` : part;
-                    if (!groupedComponents[comp.type].includes(currentPath)) {
-                        groupedComponents[comp.type].push(currentPath);
-                    }
-                });
-            }
+        const other = others.get(comp.apiName);
+        others.delete(comp.apiName);
+        if (!other || other.lastModifiedDate !== comp.lastModifiedDate) {
+            differences.push({
+                name: comp.name,
+                apiName: comp.apiName,
+                difference: other ? 'modified' : 'target-only',
+                lastModifiedDate: comp.lastModifiedDate,
+                otherLastModifiedDate: other ? other.lastModifiedDate : null
+            });
         }
-        
-        // Add the component itself
-        groupedComponents[comp.type].push(comp.apiName);
     });
-
-    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<Package xmlns="http://soap.sforce.com/2006/04/metadata">\n';
-    
-    Object.keys(groupedComponents).forEach(type => {
-        xml += `    <types>\n`;
-        // Sort to ensure folders come before their contents
-        groupedComponents[type].sort().forEach(member => {
-            xml += `        <members>${member}</members>\n`;
+    others.forEach(other => {
+        differences.push({
+            name: other.name,
+            apiName: other.apiName,
+            difference: 'other-only',
+            lastModifiedDate: null,
+            otherLastModifiedDate: other.lastModifiedDate
         });
-        xml += `        <name>${type}</name>\n    </types>\n`;
     });
-    
-    xml += `    <version>${apiVersion}</version>\n</Package>`;
-    return xml;
+    return differences;
 }
 
-async function getLatestApiVersion() {
-    return new Promise((resolve) => {
-        exec('sf org display --json', (error, stdout, stderr) => {
-            if (error) {
-                resolve('64.0');
-                return;
-            }
-            
-            try {
-                const result = JSON.parse(stdout);
-                const apiVersion = result.result?.apiVersion || '64.0';
-                resolve(apiVersion);
-            } catch (e) {
-                resolve('64.0');
-            }
-        });
+// Runs worker for every item, with at most limit calls in progress
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
     });
+    await Promise.all(runners);
 }
 
-async function getCurrentUserInfo() {
-    return new Promise((resolve) => {
-        exec('sf org display user --json', { maxBuffer: 1024 * 1024 * 50 }, (error, stdout, stderr) => {
-            if (error) {
-                console.log('Error querying current user:', error.message);
-                resolve(null);
-                return;
-            }
-            
-            try {
-                const result = JSON.parse(stdout);
-                const userId = result.result?.id || null;
-                resolve(userId);
-            } catch (e) {
-                console.log('Error parsing current user query result:', e.message);
-                resolve(null);
-            }
+async function handleGetDependencies(panel, components, targetOrg) {
+    try {
+        const dependencies = await getComponentDependencies(components, targetOrg);
+        panel.webview.postMessage({
+            command: 'dependenciesLoaded',
+            dependencies: dependencies
         });
-    });
+    } catch (error) {
+        panel.webview.postMessage({
+            command: 'dependenciesError',
+            errorMessage: error.message
+        });
+    }
 }
 
-async function getComponentsFromSalesforce(metadataType) {
-    // Handle folder-based metadata types with SOQL
-    if (['Dashboard', 'Document', 'EmailTemplate'].includes(metadataType)) {
-        return await getFolderBasedComponents(metadataType);
-    }
-    
+// Writes the manifest and starts the retrieve; resolves the running retrieve, or undefined when it could not start.
+// destination is 'project', or 'source', 'metadata' or 'zip' for a backup in a new timestamped folder
+async function handleCreatePackage(components, manager, targetOrg, manifestPath, skipped, destination = 'project') {
+    const panel = manager.panel;
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        // Hide spinner on error
+        panel.webview.postMessage({
+            command: 'updateRetrievalStatus',
+            results: [],
+            errorMessage: 'No workspace folder found'
+        });
+        return;
+    }
+
+    try {
+        await writeManifest(workspaceFolder.uri.fsPath, manifestPath, components, targetOrg);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not update ${manifestPath}: ${error.message}`);
+        panel.webview.postMessage({
+            command: 'updateRetrievalStatus',
+            results: [],
+            errorMessage: `Could not update ${manifestPath}: ${error.message}`
+        });
+        return;
+    }
+
+    const manifestXml = fs.readFileSync(path.join(workspaceFolder.uri.fsPath, manifestPath), 'utf8');
+
+    // Components unticked in the retrieve preview stay in the manifest but are retrieved with a temporary one without them
+    let retrieveManifestPath = manifestPath;
+    let tempManifestDir = null;
+    if (skipped.length > 0) {
+        const retrieved = components.filter((comp, index) => !skipped.includes(index));
+        tempManifestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-retrieve-'));
+        retrieveManifestPath = path.join(tempManifestDir, 'package.xml');
+        fs.writeFileSync(retrieveManifestPath, await generatePackageXml(retrieved, targetOrg));
+    }
+
+    const retrieve = { targetOrg: targetOrg || null, manifestPath, manifestXml, components, skipped, startedAt: Date.now() };
+    if (destination !== 'project') {
+        retrieve.backup = { format: destination, dir: getBackupDir(workspaceFolder.uri.fsPath, targetOrg, retrieve.startedAt) };
+    }
+    return runPanelRetrieve(manager, retrieve, retrieveManifestPath, tempManifestDir);
+}
+
+// Hides the retrieve spinner when a retrieve could not be started, e.g. when its manifest could not be written
+function showRetrieveStartError(panel, error) {
+    vscode.window.showErrorMessage(`Retrieve failed: ${error.message}`);
+    panel.webview.postMessage({
+        command: 'updateRetrievalStatus',
+        results: [],
+        errorMessage: `Retrieve failed: ${error.message}`
+    });
+}
+
+// Retrieves the components of a past retrieve again from the org it used, into a new backup folder when it was a backup.
+// The manifest is generated into a temp folder, so the current manifest and target org are left alone
+async function handleRerunHistoryEntry(manager, id) {
+    const entry = retrieveHistoryDir ? getHistoryEntry(retrieveHistoryDir, id) : null;
+    if (!entry) {
+        showRetrieveStartError(manager.panel, new Error('This retrieve is no longer in the history'));
+        return null;
+    }
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        showRetrieveStartError(manager.panel, new Error('No workspace folder found'));
+        return null;
+    }
+
+    const workspacePath = workspaceFolder.uri.fsPath;
+    const skipped = entry.results.filter(result => result.status === 'Skipped').map(result => result.index);
+    const retrieved = entry.components.filter((comp, index) => !skipped.includes(index));
+    const tempManifestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-retrieve-'));
+    const retrieveManifestPath = path.join(tempManifestDir, 'package.xml');
+    let manifestXml;
+    try {
+        manifestXml = await generatePackageXml(retrieved, entry.targetOrg || undefined);
+        fs.writeFileSync(retrieveManifestPath, manifestXml);
+    } catch (error) {
+        fs.rmSync(tempManifestDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    const retrieve = {
+        targetOrg: entry.targetOrg || null,
+        manifestPath: entry.manifestPath,
+        manifestXml,
+        components: entry.components,
+        skipped,
+        startedAt: Date.now()
+    };
+    if (entry.backupDir) {
+        retrieve.backup = { format: entry.backupFormat || 'source', dir: getBackupDir(workspacePath, entry.targetOrg, retrieve.startedAt) };
+    }
+    return runPanelRetrieve(manager, retrieve, retrieveManifestPath, tempManifestDir);
+}
+
+// A new folder for a backup, named after the org and the time, under the backupDirectory setting
+function getBackupDir(workspacePath, targetOrg, startedAt) {
+    const backupRoot = vscode.workspace.getConfiguration('salesforceMetadataManager').get('backupDirectory', 'backups');
+    const timestamp = new Date(startedAt).toISOString().substring(0, 19).replace(/:/g, '-');
+    const orgName = (targetOrg || 'default-org').replace(/[^\w.-]/g, '_');
+    return path.resolve(workspacePath, backupRoot, `${orgName}-${timestamp}`);
+}
+
+// Offers to resume a retrieve that was still running when its window was closed
+async function handlePendingRetrieve(manager) {
+    const pending = workspaceState ? workspaceState.get(PENDING_RETRIEVE_KEY) : null;
+    if (!pending || waitingRetrieveJobs.has(pending.jobId)) {
+        return null;
+    }
+
+    const choice = await vscode.window.showInformationMessage(
+        `A retrieve of ${describeComponents(pending.components)} started at ${new Date(pending.startedAt).toLocaleString()} did not finish.`,
+        'Resume', 'Discard'
+    );
+    if (choice === 'Discard') {
+        workspaceState.update(PENDING_RETRIEVE_KEY, undefined);
+    }
+    if (choice !== 'Resume' || manager.disposed || waitingRetrieveJobs.has(pending.jobId)) {
+        return null;
+    }
+
+    manager.panel.webview.postMessage({
+        command: 'retrieveResumed',
+        components: pending.components,
+        startedAt: pending.startedAt
+    });
+    return runPanelRetrieve(manager, pending, null, null, pending.jobId);
+}
+
+// Runs a retrieve for the panel with a cancellable progress notification. The job is remembered until it finishes,
+// so it can be resumed after the window is closed, and its result is logged in the history. Returns { cancel },
+// or null when there is no workspace folder to retrieve into
+function runPanelRetrieve(manager, retrieve, manifestFile, tempManifestDir, jobId) {
+    const removeTempManifest = () => {
+        if (tempManifestDir) {
+            fs.rmSync(tempManifestDir, { recursive: true, force: true });
+        }
+    };
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        removeTempManifest();
+        showRetrieveStartError(manager.panel, new Error('No workspace folder found'));
+        return null;
+    }
+    const workspacePath = workspaceFolder.uri.fsPath;
+    let waitingJobId = null;
+    let finish;
+    const finished = new Promise(resolve => {
+        finish = resolve;
+    });
+
+    let batchProgress = '';
+    const handle = retrieveInBatches(workspacePath, retrieve.components, message => {
+        finish();
+        removeTempManifest();
+        waitingRetrieveJobs.delete(waitingJobId);
+        if (workspaceState && waitingJobId && workspaceState.get(PENDING_RETRIEVE_KEY)?.jobId === waitingJobId) {
+            workspaceState.update(PENDING_RETRIEVE_KEY, undefined);
+        }
+        recordRetrieve(retrieve, message);
+        if (retrieve.backup && message.results.some(result => result.status === 'Success')) {
+            showBackupSaved(retrieve.backup.dir);
+        }
+        // The retrieve carries on when the panel is closed, with only the notification left to show it
+        if (!manager.disposed) {
+            manager.panel.webview.postMessage(message);
+            handleGetRetrieveHistory(manager.panel);
+        }
+    }, retrieve.targetOrg || undefined, manifestFile, {
+        skipped: retrieve.skipped,
+        jobId: jobId,
+        backup: retrieve.backup,
+        onJobStarted: startedJobId => {
+            removeTempManifest();
+            waitingJobId = startedJobId;
+            waitingRetrieveJobs.add(startedJobId);
+            if (workspaceState) {
+                workspaceState.update(PENDING_RETRIEVE_KEY, { ...retrieve, jobId: startedJobId });
+            }
+        },
+        onBatchStatus: message => {
+            batchProgress = `batch ${message.done} of ${message.batches} done, `;
+            if (!manager.disposed) {
+                manager.panel.webview.postMessage(message);
+            }
+        }
+    });
+
+    vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `${retrieve.backup ? 'Backing up' : 'Retrieving'} ${describeComponents(retrieve.components)}`,
+        cancellable: true
+    }, (progress, token) => {
+        token.onCancellationRequested(() => handle.cancel());
+        const timer = setInterval(() => {
+            progress.report({ message: `${batchProgress}${formatElapsed(Date.now() - retrieve.startedAt)} elapsed` });
+        }, 1000);
+        return finished.then(() => clearInterval(timer));
+    });
+
+    return handle;
+}
+
+async function showBackupSaved(backupDir) {
+    const choice = await vscode.window.showInformationMessage(`Backup saved to ${backupDir}`, 'Reveal in File Explorer');
+    if (choice) {
+        vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(backupDir));
+    }
+}
+
+function formatElapsed(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Adds a finished retrieve to the history with a snapshot of its manifest
+function recordRetrieve(retrieve, status) {
+    if (!retrieveHistoryDir) {
+        return;
+    }
+
+    try {
+        addHistoryEntry(retrieveHistoryDir, {
+            targetOrg: retrieve.targetOrg || null,
+            manifestPath: retrieve.manifestPath,
+            manifestXml: retrieve.manifestXml,
+            backupDir: retrieve.backup ? retrieve.backup.dir : null,
+            backupFormat: retrieve.backup ? retrieve.backup.format : null,
+            components: retrieve.components.map(comp => ({ name: comp.name, apiName: comp.apiName, type: comp.type })),
+            results: status.results.map(result => ({ index: result.index, status: result.status, errorMessage: result.errorMessage || null })),
+            // Component errors are kept with their results; the combined message is HTML for the error section
+            errorMessage: status.errorType === 'component' ? null : (status.errorMessage || null)
+        });
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not save the retrieve history: ${error.message}`);
+    }
+}
+
+// Sends the retrieve history without the manifest snapshots, which are opened on request
+function handleGetRetrieveHistory(panel) {
+    const entries = retrieveHistoryDir ? getHistoryEntries(retrieveHistoryDir) : [];
+    panel.webview.postMessage({
+        command: 'retrieveHistoryLoaded',
+        entries: entries.map(({ manifestXml, ...entry }) => entry)
+    });
+}
+
+// Opens the manifest a past retrieve used in an untitled editor
+async function handleOpenHistoryManifest(id) {
+    const entry = retrieveHistoryDir ? getHistoryEntry(retrieveHistoryDir, id) : null;
+    if (!entry) {
+        vscode.window.showErrorMessage('This retrieve is no longer in the history');
+        return;
+    }
+
+    const document = await vscode.workspace.openTextDocument({ content: entry.manifestXml, language: 'xml' });
+    await vscode.window.showTextDocument(document);
+}
+
+// Retrieves the components into a new temp directory and posts how they compare with the local project.
+// Resolves the new directory, which replaces previousDir.
+async function handlePreviewRetrieve(components, panel, targetOrg, previousDir) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        panel.webview.postMessage({
+            command: 'retrievePreviewError',
+            errorMessage: 'No workspace folder found'
+        });
+        return previousDir;
+    }
+
+    let previewDir = null;
+    try {
+        removePreviewDir(previousDir);
+        previewDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-retrieve-preview-'));
+        const preview = await previewRetrieve(workspaceFolder.uri.fsPath, previewDir, components, targetOrg);
+        panel.webview.postMessage({
+            command: 'retrievePreviewLoaded',
+            preview: preview
+        });
+    } catch (error) {
+        panel.webview.postMessage({
+            command: 'retrievePreviewError',
+            errorMessage: error.message
+        });
+    }
+    // The previous directory is kept track of when it could not be replaced, so it is removed later
+    return previewDir || previousDir;
+}
+
+async function handleOpenDiff(localPath, orgPath) {
+    if (localPath && orgPath) {
+        const title = `${path.basename(localPath)} (Local ↔ Org)`;
+        await vscode.commands.executeCommand('vscode.diff', vscode.Uri.file(localPath), vscode.Uri.file(orgPath), title);
+        return;
+    }
+    await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(localPath || orgPath));
+}
+
+// Opens a retrieved file in the editor, or reveals it in the Explorer view; files outside the workspace in the OS file manager
+async function handleOpenRetrievedFile(filePath, reveal) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    const uri = vscode.Uri.file(workspaceFolder ? path.resolve(workspaceFolder.uri.fsPath, filePath) : filePath);
+    if (!fs.existsSync(uri.fsPath)) {
+        vscode.window.showErrorMessage(`${filePath} no longer exists`);
+        return;
+    }
+    if (!reveal) {
+        await vscode.commands.executeCommand('vscode.open', uri);
+        return;
+    }
+    await vscode.commands.executeCommand(vscode.workspace.getWorkspaceFolder(uri) ? 'revealInExplorer' : 'revealFileInOS', uri);
+}
+
+async function handleDeployPackage(components, deployOptions, panel, targetOrg, manifestPath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        panel.webview.postMessage({
+            command: 'updateRetrievalStatus',
+            results: [],
+            errorMessage: 'No workspace folder found'
+        });
+        return;
+    }
+
+    if (deployOptions.testLevel === 'RunSpecifiedTests' && deployOptions.tests.length === 0) {
+        vscode.window.showErrorMessage('Enter at least one test class to run with RunSpecifiedTests');
+        panel.webview.postMessage({
+            command: 'updateRetrievalStatus',
+            results: []
+        });
+        return;
+    }
+
+    // Validation does not change the org, so only a real deployment needs confirming
+    if (!deployOptions.checkOnly) {
+        const orgName = targetOrg || 'the default org';
+        const deleteCount = components.filter(comp => comp.destructive).length;
+        const skipCount = components.length - deleteCount;
+        let confirmation = `Deploy ${components.length} component(s) to ${orgName}?`;
+        if (deleteCount > 0) {
+            confirmation = `Delete ${deleteCount} component(s) from ${orgName}?` +
+                (skipCount > 0 ? ` The ${skipCount} component(s) not marked for deletion are skipped; deploy them separately.` : '');
+        }
+        const answer = await vscode.window.showWarningMessage(
+            confirmation,
+            { modal: true },
+            'Deploy'
+        );
+        if (answer !== 'Deploy') {
+            panel.webview.postMessage({
+                command: 'updateRetrievalStatus',
+                results: []
+            });
+            return;
+        }
+    }
+
+    // Deletions are deployed from their own manifest folder so the current manifest is left intact.
+    // Components not marked for deletion are not part of that deployment
+    if (components.some(comp => comp.destructive)) {
+        let manifests;
+        try {
+            manifests = await writeDestructiveManifests(workspaceFolder.uri.fsPath, components, targetOrg);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not write the destructive manifests: ${error.message}`);
+            panel.webview.postMessage({
+                command: 'updateRetrievalStatus',
+                results: [],
+                errorMessage: `Could not write the destructive manifests: ${error.message}`
+            });
+            return;
+        }
+        deployMetadata(workspaceFolder.uri.fsPath, components, deployOptions, panel, targetOrg, manifests);
+        return;
+    }
+
+    try {
+        await writeManifest(workspaceFolder.uri.fsPath, manifestPath, components, targetOrg);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not update ${manifestPath}: ${error.message}`);
+        panel.webview.postMessage({
+            command: 'updateRetrievalStatus',
+            results: [],
+            errorMessage: `Could not update ${manifestPath}: ${error.message}`
+        });
+        return;
+    }
+    deployMetadata(workspaceFolder.uri.fsPath, components, deployOptions, panel, targetOrg, { manifest: manifestPath });
+}
+
+async function handleGenerateDestructive(components, panel, targetOrg) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        return;
+    }
+
+    try {
+        const manifests = await writeDestructiveManifests(workspaceFolder.uri.fsPath, components, targetOrg);
+        const destructivePath = manifests.preDestructiveChanges || manifests.postDestructiveChanges;
+        const document = await vscode.workspace.openTextDocument(path.join(workspaceFolder.uri.fsPath, destructivePath));
+        await vscode.window.showTextDocument(document);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not write the destructive manifests: ${error.message}`);
+        panel.webview.postMessage({
+            command: 'updateRetrievalStatus',
+            results: [],
+            errorMessage: `Could not write the destructive manifests: ${error.message}`
+        });
+    }
+}
+
+function handleLoadExisting(panel, manifestPath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) return;
+
+    const packagePath = path.join(workspaceFolder.uri.fsPath, manifestPath);
+    if (fs.existsSync(packagePath)) {
+        let components;
+        try {
+            components = parseExistingPackage(packagePath);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not read ${manifestPath}: ${error.message}`);
+            return;
+        }
+        panel.webview.postMessage({
+            command: 'loadExistingComponents',
+            components: components
+        });
+    }
+}
+
+// Adds the components found in the project's package directories, either all of them or only those changed since a git ref
+async function handleLoadFromProject(panel) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        return;
+    }
+    const workspacePath = workspaceFolder.uri.fsPath;
+
+    const choice = await vscode.window.showQuickPick([
+        { label: 'All source files', description: 'Every component in the package directories' },
+        { label: 'Changed since git ref...', description: 'Components touched in this branch, including uncommitted changes', gitRef: true }
+    ], { placeHolder: 'Add components from the project' });
+    if (!choice) return;
+
+    let gitRef = null;
+    if (choice.gitRef) {
+        gitRef = await vscode.window.showInputBox({
+            prompt: 'Branch, tag or commit the current branch is compared with',
+            value: 'main',
+            validateInput: value => /^[\w./@^~{}-]+$/.test(value.trim()) && !value.trim().startsWith('-') ? null : 'Enter a valid git ref'
+        });
+        if (!gitRef) return;
+        gitRef = gitRef.trim();
+    }
+
+    const packageDirectories = getPackageDirectories(workspacePath);
+    let files;
+    try {
+        files = gitRef
+            ? await getChangedFiles(workspacePath, gitRef)
+            : packageDirectories.reduce((all, directory) => all.concat(listFiles(directory)), []);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not list the files changed since ${gitRef}: ${error.message}`);
+        return;
+    }
+
+    const { components, unmapped } = mapSourceFiles(files, packageDirectories);
+    const source = gitRef ? `changed since ${gitRef}` : 'in the project';
+    if (components.length === 0) {
+        vscode.window.showInformationMessage(`No metadata components found ${source}`);
+        return;
+    }
+
+    panel.webview.postMessage({
+        command: 'projectComponentsLoaded',
+        components: components
+    });
+    vscode.window.showInformationMessage(`Found ${components.length} components ${source}` +
+        (unmapped > 0 ? ` (${unmapped} files outside the package directories or not recognised as metadata were skipped)` : ''));
+}
+
+// Explorer and editor context menu: adds the components of the chosen files and folders to the manifest
+// of the open manager, or to the default manifest
+async function handleAddToManifest(uri, uris) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        return;
+    }
+
+    const components = getSourceComponents(workspaceFolder.uri.fsPath, uri, uris);
+    if (components.length === 0) {
+        vscode.window.showErrorMessage('No metadata components found in the selected files');
+        return;
+    }
+
+    await addComponentsToManifest(workspaceFolder.uri.fsPath, components, currentManager?.getTargetOrg());
+}
+
+// Adds the components missing from the manifest of the open manager, or the default manifest, and shows them in the manager
+async function addComponentsToManifest(workspacePath, components, targetOrg) {
+    const manager = currentManager;
+    const manifestPath = manager ? manager.getManifestPath() : DEFAULT_MANIFEST;
+    const packagePath = path.join(workspacePath, manifestPath);
+    let added;
+    try {
+        const existing = fs.existsSync(packagePath) ? parseExistingPackage(packagePath) : [];
+        added = components.filter(comp => !existing.some(other => other.type === comp.type && (other.apiName === comp.apiName || other.apiName === '*')));
+        if (added.length > 0) {
+            await writeManifest(workspacePath, manifestPath, existing.concat(added), targetOrg);
+        }
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not update ${manifestPath}: ${error.message}`);
+        return;
+    }
+
+    if (added.length === 0) {
+        vscode.window.showInformationMessage(`${describeComponents(components)} already in ${manifestPath}`);
+        return;
+    }
+    if (manager) {
+        manager.panel.webview.postMessage({
+            command: 'projectComponentsLoaded',
+            components: added
+        });
+    }
+    vscode.window.showInformationMessage(`Added ${describeComponents(added)} to ${manifestPath}`);
+}
+
+// Explorer and editor context menu: retrieves just the components of the chosen files and folders,
+// from the org of the open manager or the default org
+async function handleRetrieveFromOrg(uri, uris) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        return;
+    }
+
+    const components = getSourceComponents(workspaceFolder.uri.fsPath, uri, uris);
+    if (components.length === 0) {
+        vscode.window.showErrorMessage('No metadata components found in the selected files');
+        return;
+    }
+
+    await retrieveComponentsFromOrg(workspaceFolder.uri.fsPath, components, currentManager?.getTargetOrg());
+}
+
+// Retrieves the components into the project with a progress notification, then reports the failures
+async function retrieveComponentsFromOrg(workspacePath, components, targetOrg) {
+    const manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-retrieve-'));
+    const manifestFile = path.join(manifestDir, 'package.xml');
+    let status;
+    try {
+        fs.writeFileSync(manifestFile, await generatePackageXml(components, targetOrg));
+        status = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `Retrieving ${describeComponents(components)}...`,
+            cancellable: true
+        }, (progress, token) => new Promise(resolve => {
+            const retrieve = retrieveMetadata(workspacePath, components, resolve, targetOrg, manifestFile);
+            token.onCancellationRequested(() => retrieve.cancel());
+        }));
+    } finally {
+        fs.rmSync(manifestDir, { recursive: true, force: true });
+    }
+
+    if (status.errorType === 'cancelled') {
+        return;
+    }
+    const failures = status.results
+        .filter(result => result.status === 'Failed' || result.status === 'Not Found')
+        .map(result => `${components[result.index].apiName}: ${result.errorMessage || status.errorMessage}`);
+    if (failures.length > 0) {
+        vscode.window.showErrorMessage(`Retrieve failed for ${failures.join('; ')}`);
+    } else {
+        vscode.window.showInformationMessage(`Retrieved ${describeComponents(components)}`);
+    }
+}
+
+// Runs Add to Manifest or Retrieve from the sidebar tree: on the right-clicked components and folders,
+// or on the ticked components when run from the view's title bar, once per org
+async function handleTreeAction(metadataTree, node, nodes, action) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        return;
+    }
+
+    const groups = metadataTree.getSelection(nodes || (node ? [node] : []));
+    if (groups.length === 0) {
+        vscode.window.showInformationMessage('Tick the components to use, or right-click a component or folder');
+        return;
+    }
+    for (const group of groups) {
+        await action(workspaceFolder.uri.fsPath, group.components, group.targetOrg);
+    }
+}
+
+// Components of the files and folders a context menu command was run on, or of the active editor's file.
+// Folders add every component inside them
+function getSourceComponents(workspacePath, uri, uris) {
+    const targets = (uris && uris.length > 0 ? uris : [uri || vscode.window.activeTextEditor?.document.uri]).filter(target => target);
+    const files = targets.reduce((all, target) => {
+        const isDirectory = fs.existsSync(target.fsPath) && fs.statSync(target.fsPath).isDirectory();
+        return all.concat(isDirectory ? listFiles(target.fsPath) : [target.fsPath]);
+    }, []);
+    return mapSourceFiles(files, getPackageDirectories(workspacePath)).components;
+}
+
+function describeComponents(components) {
+    return components.length === 1 ? `${components[0].type} ${components[0].apiName}` : `${components.length} components`;
+}
+
+// Replaces the selection with the components of another manifest, which is empty if the file does not exist yet
+function handleSwitchManifest(panel, manifestPath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) return;
+
+    const packagePath = path.join(workspaceFolder.uri.fsPath, manifestPath);
+    let components = [];
+    if (fs.existsSync(packagePath)) {
+        try {
+            components = parseExistingPackage(packagePath);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not read ${manifestPath}: ${error.message}`);
+        }
+    }
+    panel.webview.postMessage({
+        command: 'loadExistingComponents',
+        components: components,
+        manifestPath: manifestPath
+    });
+}
+
+function handleGetManifests(panel, manifestPath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) return;
+
+    panel.webview.postMessage({
+        command: 'manifestsLoaded',
+        manifests: listManifests(workspaceFolder.uri.fsPath, manifestPath),
+        currentManifest: manifestPath
+    });
+}
+
+async function handleNewManifest(panel, targetOrg) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        return null;
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: 'Name of the new manifest in the manifest folder',
+        placeHolder: 'release-42',
+        validateInput: value => validateManifestName(workspaceFolder.uri.fsPath, value)
+    });
+    if (!name) return null;
+
+    const manifestPath = `manifest/${toManifestFileName(name)}`;
+    const packagePath = path.join(workspaceFolder.uri.fsPath, manifestPath);
+    fs.mkdirSync(path.dirname(packagePath), { recursive: true });
+    fs.writeFileSync(packagePath, await generatePackageXml([], targetOrg));
+    return manifestPath;
+}
+
+async function handleRenameManifest(manifestPath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        return null;
+    }
+
+    const packagePath = path.join(workspaceFolder.uri.fsPath, manifestPath);
+    if (!fs.existsSync(packagePath)) {
+        vscode.window.showErrorMessage(`Manifest ${manifestPath} has not been saved yet`);
+        return null;
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: `New name for ${manifestPath}`,
+        value: path.basename(manifestPath, '.xml'),
+        validateInput: value => validateManifestName(workspaceFolder.uri.fsPath, value, path.dirname(manifestPath))
+    });
+    if (!name) return null;
+
+    const newManifestPath = `${path.posix.dirname(manifestPath)}/${toManifestFileName(name)}`;
+    fs.renameSync(packagePath, path.join(workspaceFolder.uri.fsPath, newManifestPath));
+    return newManifestPath;
+}
+
+async function handleOpenManifest(manifestPath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) return;
+
+    const packagePath = path.join(workspaceFolder.uri.fsPath, manifestPath);
+    if (!fs.existsSync(packagePath)) {
+        vscode.window.showErrorMessage(`Manifest ${manifestPath} has not been saved yet`);
+        return;
+    }
+
+    const document = await vscode.workspace.openTextDocument(packagePath);
+    await vscode.window.showTextDocument(document);
+}
+
+// Returns the workspace-relative path of a right-clicked .xml file, or null for folders and other files
+function getManifestPathFromUri(uri) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!uri || !workspaceFolder || path.extname(uri.fsPath).toLowerCase() !== '.xml') {
+        return null;
+    }
+    return path.relative(workspaceFolder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+}
+
+// Lists the .xml files in the manifest folder, plus the current manifest if it lives elsewhere
+function listManifests(workspacePath, currentManifest) {
+    const manifestDir = path.join(workspacePath, 'manifest');
+    const manifests = fs.existsSync(manifestDir)
+        ? fs.readdirSync(manifestDir)
+            .filter(file => file.toLowerCase().endsWith('.xml') && fs.statSync(path.join(manifestDir, file)).isFile())
+            .map(file => `manifest/${file}`)
+        : [];
+    
+    if (!manifests.includes(currentManifest)) {
+        manifests.push(currentManifest);
+    }
+    
+    return manifests.sort((a, b) => a.localeCompare(b));
+}
+
+function toManifestFileName(name) {
+    const trimmed = name.trim();
+    return trimmed.toLowerCase().endsWith('.xml') ? trimmed : `${trimmed}.xml`;
+}
+
+function validateManifestName(workspacePath, value, dir = 'manifest') {
+    const trimmed = (value || '').trim();
+    if (!trimmed) {
+        return 'Enter a manifest name';
+    }
+    if (!/^[\w.-]+$/.test(trimmed)) {
+        return 'Use only letters, numbers, dots, dashes and underscores';
+    }
+    if (fs.existsSync(path.join(workspacePath, dir, toManifestFileName(trimmed)))) {
+        return `${toManifestFileName(trimmed)} already exists`;
+    }
+    return null;
+}
+
+function parseExistingPackage(packagePath) {
+    const content = fs.readFileSync(packagePath, 'utf8');
+    const components = [];
+    
+    readPackageTypes(parseXml(content)).forEach(({ name: metadataType, members }) => {
+        // Filter out folders for Dashboard, Document, and EmailTemplate
+        if (['Dashboard', 'Document', 'EmailTemplate'].includes(metadataType)) {
+            members.forEach(member => {
+                const memberWithSlash = member + '/';
+                const isFolder = members.some(otherMember => 
+                    otherMember !== member && otherMember.startsWith(memberWithSlash)
+                );
+                
+                if (!isFolder) {
+                    components.push({
+                        name: member,
+                        apiName: member,
+                        type: metadataType
+                    });
+                }
+            });
+        } else {
+            // For other metadata types, add all members
+            members.forEach(member => {
+                components.push({
+                    name: member,
+                    apiName: member,
+                    type: metadataType
+                });
+            });
+        }
+    });
+    
+    return components;
+}
+
+// Reports the result as an updateRetrievalStatus message to onStatus and returns { cancel }.
+// options: skipped rows, left out of the manifest and reported as skipped; jobId of an earlier retrieve to resume
+// instead of starting one; onJobStarted(jobId), called once the org has accepted the retrieve
+function retrieveMetadata(workspacePath, allComponents, onStatus, targetOrg, manifestPath, options = {}) {
+    const skipped = options.skipped || [];
+    const rowIndexes = allComponents.map((comp, index) => index).filter(index => !skipped.includes(index));
+    const components = rowIndexes.map(index => allComponents[index]);
+    const postStatus = message => {
+        message.results = message.results
+            .map(result => ({ ...result, index: rowIndexes[result.index] }))
+            .concat(skipped.map(index => ({ index, status: 'Skipped' })));
+        onStatus(message);
+    };
+
+    // Results are matched to the rows by type and name, see retrieveResult.js
+    const handleOutput = (error, response) => {
+        const status = error ? interpretRetrieveError(components, error) : interpretRetrieveResult(components, response.result, response.warnings);
+        postStatus({
+            command: 'updateRetrievalStatus',
+            ...status,
+            results: resolveRetrievedFiles(status.results, workspacePath, options.backup)
+        });
+    };
+
+    let running = null;
+    let cancelled = false;
+    // Runs an sf command for the retrieve; its outcome is dropped once the retrieve is cancelled
+    const run = (args, onDone) => {
+        running = startSf(args, { cwd: workspacePath });
+        running.done.then(response => {
+            running = null;
+            if (!cancelled) {
+                onDone(null, response);
+            }
+        }, error => {
+            running = null;
+            if (!cancelled) {
+                onDone(error);
+            }
+        });
+    };
+    // The job is started with --async, so it survives the panel, and then awaited with resume, which writes the files
+    const resume = jobId => {
+        if (options.onJobStarted) {
+            options.onJobStarted(jobId);
+        }
+        run(['project', 'retrieve', 'resume', '--job-id', jobId], handleOutput);
+    };
+
+    if (options.jobId) {
+        resume(options.jobId);
+    } else if (options.backup) {
+        // Backups are retrieved in one call outside the project, so there is no job to resume
+        run(['project', 'retrieve', 'start', '--manifest', manifestPath, ...getBackupArgs(options.backup), ...targetOrgArgs(targetOrg)], handleOutput);
+    } else {
+        run(['project', 'retrieve', 'start', '--manifest', manifestPath, '--ignore-conflicts', ...targetOrgArgs(targetOrg), '--async'], (error, response) => {
+            const jobId = response && response.result?.jobId;
+            if (jobId) {
+                resume(jobId);
+            } else {
+                handleOutput(error, response);
+            }
+        });
+    }
+
+    return {
+        // Stops waiting for the job; it keeps running in the org, but its files are not written to the project
+        cancel() {
+            if (cancelled) {
+                return;
+            }
+            cancelled = true;
+            if (running) {
+                running.cancel();
+            }
+            postStatus({
+                command: 'updateRetrievalStatus',
+                results: components.map((comp, index) => ({ index, status: 'Cancelled' })),
+                errorMessage: 'Retrieve cancelled',
+                errorType: 'cancelled'
+            });
+        }
+    };
+}
+
+// Makes the file paths of the results relative to the workspace folder, as the webview lists them.
+// Metadata format retrieves report paths inside the zip, which only exist as files once it is unzipped
+function resolveRetrievedFiles(results, workspacePath, backup) {
+    return results.map(result => ({
+        ...result,
+        files: (result.files || []).map(filePath => {
+            if (!path.isAbsolute(filePath)) {
+                if (!backup || backup.format !== 'metadata') {
+                    return null;
+                }
+                filePath = path.join(backup.dir, filePath);
+            }
+            const relativePath = path.relative(workspacePath, filePath);
+            return relativePath.startsWith('..') || path.isAbsolute(relativePath) ? filePath : relativePath;
+        }).filter(filePath => filePath)
+    }));
+}
+
+// Retrieve arguments writing to the backup folder: source format, metadata format unzipped, or the metadata zip as is
+function getBackupArgs(backup) {
+    if (backup.format === 'source') {
+        return ['--output-dir', backup.dir];
+    }
+    return ['--target-metadata-dir', backup.dir].concat(backup.format === 'metadata' ? ['--unzip'] : []);
+}
+
+// Retrieves the rows in batches, at most retrieveBatchConcurrency at a time, and reports them to onStatus together,
+// like retrieveMetadata. A batch that fails as a whole is retried in halves to isolate the components causing it.
+// Each finished batch is reported to options.onBatchStatus. A single batch, or a job to resume, goes straight to
+// retrieveMetadata, which keeps it resumable. Returns { cancel }
+function retrieveInBatches(workspacePath, allComponents, onStatus, targetOrg, manifestPath, options = {}) {
+    const skipped = options.skipped || [];
+    const rows = allComponents.map((comp, index) => index).filter(index => !skipped.includes(index));
+    // Metadata format batches would all write the same unpackaged.zip, so those backups are never split
+    const singleBatch = options.jobId || (options.backup && options.backup.format !== 'source');
+    const batches = singleBatch ? [rows] : splitIntoBatches(allComponents, rows);
+    if (batches.length <= 1) {
+        return retrieveMetadata(workspacePath, allComponents, onStatus, targetOrg, manifestPath, options);
+    }
+
+    const concurrency = Math.max(1, vscode.workspace.getConfiguration('salesforceMetadataManager').get('retrieveBatchConcurrency', 1));
+    const running = new Set();
+    const results = [];
+    const commandErrors = [];
+    const componentErrors = [];
+    const warnings = [];
+    let cancelled = false;
+    let done = 0;
+
+    // Resolves the status of a single retrieve of the rows, with results indexed like allComponents
+    const retrieveRows = async batchRows => {
+        const batchComponents = batchRows.map(row => allComponents[row]);
+        const manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-retrieve-'));
+        const batchManifest = path.join(manifestDir, 'package.xml');
+        let handle = null;
+        let status;
+        try {
+            fs.writeFileSync(batchManifest, await generatePackageXml(batchComponents, targetOrg));
+            status = await new Promise(resolve => {
+                handle = retrieveMetadata(workspacePath, batchComponents, resolve, targetOrg, batchManifest, { backup: options.backup });
+                running.add(handle);
+                if (cancelled) {
+                    handle.cancel();
+                }
+            });
+        } catch (error) {
+            status = {
+                results: batchComponents.map((comp, index) => ({ index, status: 'Failed' })),
+                errorMessage: `Error generating the batch manifest: ${error.message}`
+            };
+        } finally {
+            running.delete(handle);
+            fs.rmSync(manifestDir, { recursive: true, force: true });
+        }
+        status.results = status.results.map(result => ({
+            ...result,
+            index: batchRows[result.index],
+            errorMessage: result.errorMessage || (result.status === 'Failed' ? status.errorMessage : null)
+        }));
+        return status;
+    };
+
+    const failedAsWhole = status => !['component', 'cancelled'].includes(status.errorType) && status.results.some(result => result.status === 'Failed');
+
+    // Keeps the status of a batch, first splitting it in halves while it failed as a whole
+    const settle = async (batchRows, status) => {
+        if (!cancelled && failedAsWhole(status) && batchRows.length > 1) {
+            const middle = Math.ceil(batchRows.length / 2);
+            const halves = [batchRows.slice(0, middle), batchRows.slice(middle)];
+            const statuses = [];
+            for (const half of halves) {
+                statuses.push(await retrieveRows(half));
+            }
+            // Both halves failing with the same error points at the org or the command rather than at a component
+            if (cancelled || !(statuses.every(failedAsWhole) && statuses[0].errorMessage === statuses[1].errorMessage)) {
+                const settled = [];
+                for (let i = 0; i < halves.length; i++) {
+                    settled.push(...await settle(halves[i], statuses[i]));
+                }
+                return settled;
+            }
+        }
+
+        if (status.errorType === 'component') {
+            componentErrors.push(...(status.errors || []));
+        } else if (status.errorMessage && status.errorType !== 'cancelled' && !commandErrors.includes(status.errorMessage)) {
+            commandErrors.push(status.errorMessage);
+        }
+        // Batches often repeat the same CLI warning, so each is kept once
+        (status.warnings || []).filter(warning => !warnings.includes(warning)).forEach(warning => warnings.push(warning));
+        results.push(...status.results);
+        return status.results;
+    };
+
+    runWithConcurrency(batches, concurrency, async batchRows => {
+        if (cancelled) {
+            return;
+        }
+        const batchResults = await settle(batchRows, await retrieveRows(batchRows));
+        done++;
+        if (options.onBatchStatus) {
+            options.onBatchStatus({
+                command: 'retrieveBatchStatus',
+                done: done,
+                batches: batches.length,
+                results: batchResults
+            });
+        }
+    }).then(() => {
+        // Rows of batches that never started were cancelled along with the running ones
+        const finished = new Set(results.map(result => result.index));
+        const cancelledRows = rows.filter(row => !finished.has(row)).map(row => ({ index: row, status: 'Cancelled' }));
+        let errorMessage = commandErrors.join('\n') || null;
+        let errorType = commandErrors.length === 0 && componentErrors.length > 0 ? 'component' : null;
+        if (cancelled) {
+            errorMessage = 'Retrieve cancelled';
+            errorType = 'cancelled';
+        }
+        onStatus({
+            command: 'updateRetrievalStatus',
+            results: results.concat(cancelledRows, skipped.map(index => ({ index, status: 'Skipped' }))),
+            errors: componentErrors,
+            errorMessage: errorMessage,
+            errorType: errorType,
+            warnings: warnings
+        });
+    }).catch(error => {
+        // An unexpected error ends the whole retrieve: the other batches are stopped and their rows fail with it
+        cancelled = true;
+        running.forEach(handle => handle.cancel());
+        const finished = new Set(results.map(result => result.index));
+        const failedRows = rows.filter(row => !finished.has(row)).map(row => ({ index: row, status: 'Failed', errorMessage: error.message }));
+        onStatus({
+            command: 'updateRetrievalStatus',
+            results: results.concat(failedRows, skipped.map(index => ({ index, status: 'Skipped' }))),
+            errors: componentErrors,
+            errorMessage: `Retrieve failed: ${error.message}`,
+            errorType: 'command',
+            warnings: warnings
+        });
+    });
+
+    return {
+        cancel() {
+            cancelled = true;
+            running.forEach(handle => handle.cancel());
+        }
+    };
+}
+
+// Splits rows into batches of at most retrieveBatchSize components, each of a single type when retrieveBatchBy is "type"
+function splitIntoBatches(components, rows) {
+    const config = vscode.workspace.getConfiguration('salesforceMetadataManager');
+    const batchSize = config.get('retrieveBatchSize', 500);
+    let groups = [rows];
+    if (config.get('retrieveBatchBy', 'count') === 'type') {
+        const rowsByType = new Map();
+        rows.forEach(row => {
+            const type = components[row].type;
+            rowsByType.set(type, (rowsByType.get(type) || []).concat(row));
+        });
+        groups = Array.from(rowsByType.values());
+    }
+
+    const batches = [];
+    groups.forEach(group => {
+        if (batchSize <= 0) {
+            batches.push(group);
+            return;
+        }
+        for (let start = 0; start < group.length; start += batchSize) {
+            batches.push(group.slice(start, start + batchSize));
+        }
+    });
+    return batches;
+}
+
+// Retrieves the components into previewDir and compares every retrieved file with the project's package directories.
+// Returns one entry per component: { index, status, errorMessage, files: [{ name, status, localPath, orgPath }] }
+async function previewRetrieve(workspacePath, previewDir, components, targetOrg) {
+    const manifestFile = path.join(previewDir, 'package.xml');
+    const outputDir = path.join(previewDir, 'retrieved');
+    // Built like the retrieve manifest, so children covered by a selected parent are left out here too
+    fs.writeFileSync(manifestFile, await generatePackageXml(components, targetOrg));
+
+    const files = await retrieveToDirectory(workspacePath, manifestFile, outputDir, targetOrg);
+    const localFiles = indexLocalFiles(workspacePath);
+
+    return components.map((comp, index) => {
+        const componentFiles = files.filter(file => file.type === comp.type && (comp.apiName === '*' || file.fullName === comp.apiName));
+        const failedFiles = componentFiles.filter(file => file.state === 'Failed');
+        if (failedFiles.length > 0 && comp.apiName !== '*') {
+            return { index, status: 'failed', errorMessage: failedFiles[0].error || failedFiles[0].problem || 'Component retrieval failed', files: [] };
+        }
+        // A wildcard lists the components that failed next to the files of the others
+        const errorMessage = failedFiles.map(file => `${file.fullName}: ${file.error || file.problem || 'Component retrieval failed'}`).join('\n') || null;
+
+        const retrievedFiles = componentFiles.filter(file => file.filePath).map(file => {
+            const orgPath = path.resolve(workspacePath, file.filePath);
+            const localPath = findLocalFile(localFiles, path.relative(outputDir, orgPath));
+            let status = 'new';
+            if (localPath) {
+                status = fs.readFileSync(localPath).equals(fs.readFileSync(orgPath)) ? 'identical' : 'changed';
+            }
+            return { name: path.relative(outputDir, orgPath), status, localPath, orgPath };
+        });
+
+        if (retrievedFiles.length === 0) {
+            const localOnlyFiles = comp.apiName === '*' ? [] : findLocalComponentFiles(localFiles, workspacePath, comp.apiName);
+            return {
+                index,
+                status: failedFiles.length > 0 ? 'failed' : (localOnlyFiles.length > 0 ? 'local-only' : 'missing'),
+                errorMessage,
+                files: localOnlyFiles.map(localPath => ({ name: path.relative(workspacePath, localPath), status: 'local-only', localPath, orgPath: null }))
+            };
+        }
+
+        // Files of a bundle that exist locally but no longer in the org
+        const bundleDirs = new Set(retrievedFiles
+            .filter(file => file.localPath && path.basename(path.dirname(file.localPath)) === comp.apiName)
+            .map(file => path.dirname(file.localPath)));
+        const localOnlyFiles = [];
+        bundleDirs.forEach(bundleDir => {
+            listFiles(bundleDir)
+                .filter(localPath => !retrievedFiles.some(file => file.localPath === localPath))
+                .forEach(localPath => localOnlyFiles.push({ name: path.relative(workspacePath, localPath), status: 'local-only', localPath, orgPath: null }));
+        });
+
+        const allFiles = retrievedFiles.concat(localOnlyFiles);
+        let status = 'changed';
+        if (allFiles.every(file => file.status === 'identical')) {
+            status = 'identical';
+        } else if (allFiles.every(file => file.status === 'new')) {
+            status = 'new';
+        }
+        return { index, status, errorMessage, files: allFiles };
+    });
+}
+
+// Retrieves a manifest into outputDir without touching the project; resolves the files reported by the CLI
+async function retrieveToDirectory(workspacePath, manifestFile, outputDir, targetOrg) {
+    const response = await runSf(['project', 'retrieve', 'start', '--manifest', manifestFile, '--output-dir', outputDir, ...targetOrgArgs(targetOrg)], { cwd: workspacePath });
+    return response.result?.files || [];
+}
+
+// Package directories from sfdx-project.json, falling back to force-app
+function getPackageDirectories(workspacePath) {
+    try {
+        const project = JSON.parse(fs.readFileSync(path.join(workspacePath, 'sfdx-project.json'), 'utf8'));
+        const directories = (project.packageDirectories || []).map(directory => path.join(workspacePath, directory.path));
+        if (directories.length > 0) {
+            return directories;
+        }
+    } catch (e) {
+        // Missing or invalid sfdx-project.json
+    }
+    return [path.join(workspacePath, 'force-app')];
+}
+
+function listFiles(directory) {
+    let entries = [];
+    try {
+        entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (e) {
+        return [];
+    }
+
+    let files = [];
+    entries.forEach(entry => {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files = files.concat(listFiles(entryPath));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    });
+    return files;
+}
+
+// Files in the package directories, grouped by file name
+function indexLocalFiles(workspacePath) {
+    const index = {};
+    getPackageDirectories(workspacePath).forEach(directory => {
+        listFiles(directory).forEach(file => {
+            const name = path.basename(file);
+            index[name] = index[name] || [];
+            index[name].push(file);
+        });
+    });
+    return index;
+}
+
+// Finds the local counterpart of a retrieved file: the file with the same name whose path shares the
+// most trailing segments with it, e.g. objects/Account/fields/Status__c.field-meta.xml
+function findLocalFile(localFiles, relativePath) {
+    const segments = relativePath.split(path.sep);
+    const minimumMatch = Math.min(2, segments.length);
+    let bestMatch = null;
+    let bestLength = 0;
+
+    (localFiles[path.basename(relativePath)] || []).forEach(localPath => {
+        const localSegments = localPath.split(path.sep);
+        let length = 0;
+        while (length < segments.length && length < localSegments.length &&
+            segments[segments.length - 1 - length] === localSegments[localSegments.length - 1 - length]) {
+            length++;
+        }
+        if (length >= minimumMatch && length > bestLength) {
+            bestMatch = localPath;
+            bestLength = length;
+        }
+    });
+    return bestMatch;
+}
+
+// Local files of a component the org did not return: files named after it, or inside a bundle directory
+// named after it, under directories named after its parents (the object of Account.Status__c, the folder of Reports/MyReport)
+function findLocalComponentFiles(localFiles, workspacePath, apiName) {
+    const parts = apiName.split(/[./]/);
+    const name = parts.pop();
+    const matches = [];
+
+    Object.keys(localFiles).forEach(fileName => {
+        localFiles[fileName].forEach(localPath => {
+            const segments = path.relative(workspacePath, localPath).split(path.sep);
+            const matchesName = fileName.startsWith(name + '.') || segments.slice(0, -1).includes(name);
+            if (matchesName && parts.every(part => segments.includes(part))) {
+                matches.push(localPath);
+            }
+        });
+    });
+    return matches;
+}
+
+// Workspace files changed since the current branch left gitRef: committed, uncommitted and untracked, without deletions
+async function getChangedFiles(workspacePath, gitRef) {
+    const git = args => new Promise((resolve, reject) => {
+        execFile('git', args, { cwd: workspacePath, maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(stderr.trim() || error.message));
+                return;
+            }
+            resolve(stdout.split('\0').map(line => line.trim()).filter(line => line.length > 0));
+        });
+    });
+
+    const [mergeBase] = await git(['merge-base', gitRef, 'HEAD']);
+    const changed = await git(['diff', '--name-only', '--relative', '-z', '--diff-filter=d', mergeBase]);
+    const untracked = await git(['ls-files', '-z', '--others', '--exclude-standard']);
+    return [...new Set(changed.concat(untracked))].map(file => path.join(workspacePath, file));
+}
+
+function removePreviewDir(previewDir) {
+    if (previewDir) {
+        fs.rmSync(previewDir, { recursive: true, force: true });
+    }
+}
+
+function deployMetadata(workspacePath, components, deployOptions, panel, targetOrg, manifests) {
+    const args = ['project', 'deploy', 'start', '--manifest', manifests.manifest, '--test-level', deployOptions.testLevel];
+    if (manifests.preDestructiveChanges) {
+        args.push('--pre-destructive-changes', manifests.preDestructiveChanges);
+    }
+    if (manifests.postDestructiveChanges) {
+        args.push('--post-destructive-changes', manifests.postDestructiveChanges);
+    }
+    if (deployOptions.testLevel === 'RunSpecifiedTests') {
+        deployOptions.tests.forEach(test => {
+            args.push('--tests', test);
+        });
+    }
+    if (deployOptions.checkOnly) {
+        args.push('--dry-run');
+    }
+    args.push(...targetOrgArgs(targetOrg));
+
+    // A destructive deployment has an empty package.xml, so it leaves out the components not marked for deletion
+    const isDestructive = Boolean(manifests.preDestructiveChanges || manifests.postDestructiveChanges);
+    const isSkipped = comp => isDestructive && !comp.destructive;
+
+    const handleOutput = (error, output) => {
+        // A failed deploy is an SfCommandError that still carries the deploy result
+        const deployResult = output ? output.result : error.result;
+        if (!deployResult || (!deployResult.files && !deployResult.details)) {
+            const errorMessage = error?.message || 'Deployment failed';
+            panel.webview.postMessage({
+                command: 'updateRetrievalStatus',
+                results: components.map((comp, index) => (isSkipped(comp) ? { index, status: 'Skipped' } : { index, status: 'Failed', errorMessage })),
+                errorMessage: errorMessage,
+                errorType: 'command'
+            });
+            return;
+        }
+
+        const toArray = value => (Array.isArray(value) ? value : (value ? [value] : []));
+        const details = deployResult.details || {};
+        
+        // Component failures are reported in details and, by newer CLI versions, in files
+        const componentFailures = toArray(details.componentFailures).map(failure => ({
+            fullName: failure.fullName,
+            type: failure.componentType,
+            error: failure.problem
+        }));
+        toArray(deployResult.files).filter(file => file.state === 'Failed').forEach(file => {
+            if (!componentFailures.some(failure => failure.fullName === file.fullName && failure.type === file.type)) {
+                componentFailures.push({ fullName: file.fullName, type: file.type, error: file.error || file.problem });
+            }
+        });
+        
+        const testFailures = toArray(details.runTestResult?.failures);
+        const deploySucceeded = !error && deployResult.success !== false && deployResult.status !== 'Failed';
+        
+        // Everything is rolled back when the deploy fails, so components without their own error are not deployed either
+        let rollbackMessage = error?.message || 'Deployment failed';
+        if (testFailures.length > 0) {
+            rollbackMessage = `Not deployed: ${testFailures.length} test failure(s)`;
+        } else if (componentFailures.length > 0) {
+            rollbackMessage = 'Not deployed: other components failed';
+        }
+        
+        const results = components.map((comp, index) => {
+            if (isSkipped(comp)) {
+                return { index, status: 'Skipped' };
+            }
+            if (comp.apiName === '*') {
+                const failedFiles = componentFailures.map(failure => ({ ...failure, state: 'Failed' }));
+                const members = expandWildcardMembers(comp.type, [...toArray(deployResult.files), ...failedFiles]);
+                if (!deploySucceeded) {
+                    members.filter(member => member.status === 'Success').forEach(member => {
+                        member.status = 'Failed';
+                        member.errorMessage = rollbackMessage;
+                    });
+                }
+                
+                const failedCount = members.filter(member => member.status === 'Failed').length;
+                if (failedCount > 0) {
+                    return { index, status: 'Failed', errorMessage: `${failedCount} of ${members.length} components failed`, members };
+                }
+                return deploySucceeded
+                    ? { index, status: 'Success', members }
+                    : { index, status: 'Failed', errorMessage: rollbackMessage, members };
+            }
+            
+            const failure = componentFailures.find(f => f.fullName === comp.apiName && f.type === comp.type);
+            if (failure) {
+                return { index, status: 'Failed', errorMessage: failure.error || 'Component deployment failed' };
+            }
+            return deploySucceeded
+                ? { index, status: 'Success' }
+                : { index, status: 'Failed', errorMessage: rollbackMessage };
+        });
+        
+        // Errors are { component: { type, apiName }, message } in plain text, escaped by the webview
+        let errors = [];
+        let errorMessage = null;
+        let errorType = null;
+        if (testFailures.length > 0) {
+            // Test failures are not tied to a selected component, so they are shown in the error section
+            errorType = 'tests';
+            errors = testFailures.map(failure => ({
+                component: { type: 'ApexClass', apiName: failure.name },
+                message: `${failure.methodName}: ${failure.message}`
+            }));
+        } else if (componentFailures.length > 0) {
+            errorType = 'component';
+            errors = componentFailures.map(failure => ({
+                component: { type: failure.type, apiName: failure.fullName },
+                message: failure.error || 'Unknown error'
+            }));
+        } else if (!deploySucceeded) {
+            errorType = 'command';
+            errorMessage = rollbackMessage;
+        }
+        
+        // Deployed and deleted components change the org's component lists
+        if (deploySucceeded && !deployOptions.checkOnly) {
+            clearCachedComponents(targetOrg, [...new Set(components.filter(comp => !isSkipped(comp)).map(comp => comp.type))]);
+        }
+        
+        panel.webview.postMessage({
+            command: 'updateRetrievalStatus',
+            results: results,
+            errors: errors,
+            errorMessage: errorMessage,
+            errorType: errorType
+        });
+    };
+
+    runSf(args, { cwd: workspacePath }).then(response => handleOutput(null, response), error => handleOutput(error));
+}
+
+async function generatePackageXml(components, targetOrg, existingXml) {
+    const groupedComponents = groupComponentsByType(await removeCoveredChildren(components, targetOrg), true);
+    
+    // Update an existing manifest in place so comments, version and unknown elements are kept
+    if (existingXml) {
+        const document = parseXml(existingXml);
+        const apiVersion = readPackageVersion(document) || await getLatestApiVersion(targetOrg);
+        return serializeXml(updatePackage(document, groupedComponents, apiVersion));
+    }
+    
+    const apiVersion = await getLatestApiVersion(targetOrg);
+    return buildPackageXml(groupedComponents, apiVersion);
+}
+
+// Leaves out children that are retrieved with a listed parent, e.g. CustomField Account.Site__c with CustomObject Account
+async function removeCoveredChildren(components, targetOrg) {
+    if (!components.some(comp => comp.apiName.includes('.'))) {
+        return components;
+    }
+
+    let metadataTypes = [];
+    try {
+        metadataTypes = (await getCachedValue(targetOrg, 'metadataTypes', false, () => getMetadataTypesFromSalesforce(targetOrg))).value;
+    } catch (error) {
+        // Without the types every child is listed, which retrieves the same components
+        return components;
+    }
+
+    const parentTypes = new Map(metadataTypes.filter(type => type.parent).map(type => [type.name, type.parent]));
+    const listed = new Set(components.map(comp => `${comp.type}|${comp.apiName}`));
+    return components.filter(comp => {
+        const parentType = parentTypes.get(comp.type);
+        const dot = comp.apiName.indexOf('.');
+        return !parentType || dot === -1 || !listed.has(`${parentType}|${comp.apiName.substring(0, dot)}`);
+    });
+}
+
+// Writes the selected components to the manifest, updating the file if it already exists
+async function writeManifest(workspacePath, manifestPath, components, targetOrg) {
+    const packagePath = path.join(workspacePath, manifestPath);
+    fs.mkdirSync(path.dirname(packagePath), { recursive: true });
+    
+    const existingXml = fs.existsSync(packagePath) ? fs.readFileSync(packagePath, 'utf8') : null;
+    const packageXml = await generatePackageXml(components, targetOrg, existingXml);
+    fs.writeFileSync(packagePath, packageXml);
+}
+
+// Builds package.xml plus destructiveChanges.xml / destructiveChangesPost.xml for components marked for deletion
+async function generateDestructiveManifests(components, targetOrg) {
+    const apiVersion = await getLatestApiVersion(targetOrg);
+    const preDestructive = components.filter(comp => comp.destructive === 'pre');
+    const postDestructive = components.filter(comp => comp.destructive === 'post');
+    
+    // The companion package.xml is empty, so a destructive deployment only deletes.
+    // Folder-based members are listed with their folders, as in the retrieve manifest
+    return {
+        packageXml: buildPackageXml({}, apiVersion),
+        destructiveChangesXml: preDestructive.length > 0 ? buildPackageXml(groupComponentsByType(preDestructive, true), apiVersion) : null,
+        destructiveChangesPostXml: postDestructive.length > 0 ? buildPackageXml(groupComponentsByType(postDestructive, true), apiVersion) : null
+    };
+}
+
+// Writes the destructive manifests to manifest/destructiveChanges and returns their workspace-relative paths
+async function writeDestructiveManifests(workspacePath, components, targetOrg) {
+    const destructiveDir = path.join(workspacePath, 'manifest', 'destructiveChanges');
+    fs.mkdirSync(destructiveDir, { recursive: true });
+    
+    const manifests = await generateDestructiveManifests(components, targetOrg);
+    const paths = {
+        manifest: 'manifest/destructiveChanges/package.xml',
+        preDestructiveChanges: null,
+        postDestructiveChanges: null
+    };
+    
+    fs.writeFileSync(path.join(destructiveDir, 'package.xml'), manifests.packageXml);
+    
+    // Remove files left over from an earlier selection so they are not deployed by mistake
+    const preDestructivePath = path.join(destructiveDir, 'destructiveChanges.xml');
+    const postDestructivePath = path.join(destructiveDir, 'destructiveChangesPost.xml');
+    if (manifests.destructiveChangesXml) {
+        fs.writeFileSync(preDestructivePath, manifests.destructiveChangesXml);
+        paths.preDestructiveChanges = 'manifest/destructiveChanges/destructiveChanges.xml';
+    } else if (fs.existsSync(preDestructivePath)) {
+        fs.unlinkSync(preDestructivePath);
+    }
+    if (manifests.destructiveChangesPostXml) {
+        fs.writeFileSync(postDestructivePath, manifests.destructiveChangesPostXml);
+        paths.postDestructiveChanges = 'manifest/destructiveChanges/destructiveChangesPost.xml';
+    } else if (fs.existsSync(postDestructivePath)) {
+        fs.unlinkSync(postDestructivePath);
+    }
+    
+    return paths;
+}
+
+function groupComponentsByType(components, includeFolders) {
+    const groupedComponents = {};
+    
+    components.forEach(comp => {
+        if (!groupedComponents[comp.type]) {
+            groupedComponents[comp.type] = [];
+        }
+        
+        // For folder-based metadata, add folder paths
+        if (includeFolders && ['Dashboard', 'Document', 'EmailTemplate'].includes(comp.type)) {
+            // Extract folder path from the component's full path
+            const fullPath = comp.apiName;
+            const lastSlashIndex = fullPath.lastIndexOf('/');
+            
+            if (lastSlashIndex > -1) {
+                const folderPath = fullPath.substring(0, lastSlashIndex);
+                const folderParts = folderPath.split('/');
+                let currentPath = '';
+                
+                // Add each folder level
+                folderParts.forEach(part => {
+                    currentPath = currentPath ? `${currentPath}/${part}` : part;
+                    if (!groupedComponents[comp.type].includes(currentPath)) {
+                        groupedComponents[comp.type].push(currentPath);
+                    }
+                });
+            }
+        }
+        
+        // Add the component itself
+        groupedComponents[comp.type].push(comp.apiName);
+    });
+    
+    return groupedComponents;
+}
+
+// Builds the --target-org arguments; none leave the CLI on its default org
+function targetOrgArgs(targetOrg) {
+    return targetOrg ? ['--target-org', targetOrg] : [];
+}
+
+async function getAuthenticatedOrgs() {
+    // sf org list fails when no orgs are authenticated but still returns the empty groups
+    const groups = await runSf(['org', 'list']).then(response => response.result, error => {
+        // Every other call fails the same way, so this is the one place that says so
+        if (error instanceof SfNotInstalledError) {
+            vscode.window.showErrorMessage(error.message);
+        }
+        return error.result;
+    }) || {};
+    const orgs = [];
+    
+    ['nonScratchOrgs', 'sandboxes', 'devHubs', 'scratchOrgs', 'other'].forEach(group => {
+        (groups[group] || []).forEach(org => {
+            if (!org.username || org.isExpired || orgs.some(o => o.username === org.username)) {
+                return;
+            }
+            orgs.push({
+                alias: org.alias || '',
+                username: org.username,
+                isDefault: !!org.isDefaultUsername,
+                isSandbox: !!org.isSandbox,
+                isScratch: !!org.isScratch
+            });
+        });
+    });
+    
+    return orgs.sort((a, b) => (a.alias || a.username).localeCompare(b.alias || b.username));
+}
+
+async function getLatestApiVersion(targetOrg) {
+    const cached = await getCachedValue(targetOrg, 'apiVersion', false, () => getApiVersionFromSalesforce(targetOrg));
+    return cached.value || '64.0';
+}
+
+// Resolves null when the org cannot be reached, so that the fallback version is not cached
+async function getApiVersionFromSalesforce(targetOrg) {
+    try {
+        const response = await runSf(['org', 'display', ...targetOrgArgs(targetOrg)]);
+        return response.result?.apiVersion || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Returns { value, timestamp } from the org's cache when it is younger than the configured TTL,
+// otherwise loads and caches the value. Empty results are not cached, since the CLI helpers
+// also return nothing when a call fails.
+async function getCachedValue(targetOrg, key, refresh, load) {
+    const ttlMinutes = vscode.workspace.getConfiguration('salesforceMetadataManager').get('cacheTtlMinutes', 1440);
+    const orgKey = getCacheOrgKey(targetOrg);
+
+    if (metadataCacheDir && ttlMinutes > 0 && !refresh) {
+        const entry = getCacheEntry(metadataCacheDir, orgKey, key, ttlMinutes);
+        if (entry) {
+            return entry;
+        }
+    }
+
+    const value = await load();
+    const isEmpty = value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+    if (!metadataCacheDir || ttlMinutes <= 0 || isEmpty) {
+        return { value: value, timestamp: Date.now() };
+    }
+    return setCacheEntry(metadataCacheDir, orgKey, key, value);
+}
+
+// Drops cached component lists that a deployment may have changed
+function clearCachedComponents(targetOrg, metadataTypes) {
+    if (!metadataCacheDir) {
+        return;
+    }
+    try {
+        clearCacheEntries(metadataCacheDir, getCacheOrgKey(targetOrg), metadataTypes.map(type => `components:${type}`));
+    } catch (e) {
+        // A stale cache only costs a manual refresh
+    }
+}
+
+// The default org is resolved from the sf config files so that the cache follows `sf config set target-org`
+// without starting the CLI; project config takes precedence over global config
+function getCacheOrgKey(targetOrg) {
+    if (targetOrg) {
+        return targetOrg;
+    }
+
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    const configFiles = [
+        workspaceFolder ? path.join(workspaceFolder.uri.fsPath, '.sf', 'config.json') : null,
+        path.join(os.homedir(), '.sf', 'config.json')
+    ].filter(Boolean);
+    for (const configFile of configFiles) {
+        try {
+            const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+            if (config['target-org']) {
+                return config['target-org'];
+            }
+        } catch (e) {
+            // Missing config file
+        }
+    }
+    return 'default-org';
+}
+
+async function getCurrentUserInfo(targetOrg) {
+    try {
+        const response = await runSf(['org', 'display', 'user', ...targetOrgArgs(targetOrg)]);
+        return response.result?.id || null;
+    } catch (error) {
+        console.log('Error querying current user:', error.message);
+        return null;
+    }
+}
+
+// Resolves [] when the components cannot be listed
+async function getComponentsFromSalesforce(metadataType, targetOrg) {
+    try {
+        return await listComponentsFromSalesforce(metadataType, targetOrg);
+    } catch (error) {
+        return [];
+    }
+}
+
+// Same as getComponentsFromSalesforce, but rejects with the CLI error, for callers that report it per type
+async function listComponentsFromSalesforce(metadataType, targetOrg) {
+    // Handle folder-based metadata types with SOQL
+    if (['Dashboard', 'Document', 'EmailTemplate'].includes(metadataType)) {
+        return await getFolderBasedComponents(metadataType, targetOrg);
+    }
+    
     // Standard metadata API approach for other types
-    const apiVersion = await getLatestApiVersion();
+    const apiVersion = await getLatestApiVersion(targetOrg);
+    const response = await runSf(['org', 'list', 'metadata', '--metadata-type', metadataType, '--api-version', apiVersion, ...targetOrgArgs(targetOrg)]);
+    return (response.result || []).map(item => ({
+        name: item.fullName,
+        apiName: item.fullName,
+        lastModifiedDate: item.lastModifiedDate,
+        lastModifiedById: item.lastModifiedById,
+        lastModifiedByName: item.lastModifiedByName,
+        createdByName: item.createdByName,
+        manageableState: item.manageableState,
+        namespacePrefix: item.namespacePrefix || undefined
+    })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Returns [{ component, dependencies }] with the components each selected component references,
+// using the Tooling API MetadataComponentDependency object
+async function getComponentDependencies(components, targetOrg) {
+    // Wildcards have no single component to analyse
+    const analysed = components.filter(comp => comp.apiName !== '*');
+    const types = [...new Set(analysed.map(comp => comp.type))];
+    const names = [...new Set(analysed.map(toDependencyName))];
+    if (types.length === 0) {
+        return [];
+    }
+    
+    const records = [];
+    for (let i = 0; i < names.length; i += 200) {
+        const chunk = names.slice(i, i + 200);
+        const soql = 'SELECT MetadataComponentId, MetadataComponentName, MetadataComponentType, RefMetadataComponentId, RefMetadataComponentName, RefMetadataComponentType ' +
+            `FROM MetadataComponentDependency WHERE MetadataComponentType IN (${toSoqlList(types)}) AND MetadataComponentName IN (${toSoqlList(chunk)})`;
+        records.push(...await runToolingQuery(soql, targetOrg));
+    }
+    
+    const resolvedNames = await resolveDependencyNames(records, targetOrg);
+    // Fields of different objects can share a name, so fields are matched by the full name of their Id, e.g. Account.Status__c
+    const recordName = record => (record.MetadataComponentType === 'CustomField'
+        ? resolvedNames[record.MetadataComponentId]?.apiName
+        : record.MetadataComponentName);
+    
+    return analysed.map(comp => {
+        const dependencies = [];
+        const name = comp.type === 'CustomField' ? comp.apiName : toDependencyName(comp);
+        records
+            .filter(record => record.MetadataComponentType === comp.type && recordName(record) === name)
+            .forEach(record => {
+                const dependency = resolvedNames[record.RefMetadataComponentId];
+                if (dependency && !dependencies.some(d => d.type === dependency.type && d.apiName === dependency.apiName)) {
+                    dependencies.push(dependency);
+                }
+            });
+        
+        return {
+            component: { type: comp.type, apiName: comp.apiName },
+            dependencies: dependencies.sort((a, b) => a.type.localeCompare(b.type) || a.apiName.localeCompare(b.apiName))
+        };
+    });
+}
+
+// MetadataComponentDependency names custom objects and fields without the object prefix or __c suffix.
+// Used to query the dependencies; a field name can match fields of several objects
+function toDependencyName(comp) {
+    if (comp.type === 'CustomField') {
+        return comp.apiName.split('.').pop().replace(/__c$/, '');
+    }
+    if (comp.type === 'CustomObject') {
+        return comp.apiName.replace(/__c$/, '');
+    }
+    return comp.apiName;
+}
+
+// Maps RefMetadataComponentId, and the MetadataComponentId of fields, to { type, apiName } as used in package.xml
+async function resolveDependencyNames(records, targetOrg) {
+    const resolved = {};
+    const fieldIds = [];
+    const objectIds = [];
+    
+    records.forEach(record => {
+        if (record.MetadataComponentType === 'CustomField') {
+            fieldIds.push(record.MetadataComponentId);
+        }
+        const id = record.RefMetadataComponentId;
+        if (record.RefMetadataComponentType === 'CustomField') {
+            fieldIds.push(id);
+        } else if (record.RefMetadataComponentType === 'CustomObject') {
+            objectIds.push(id);
+        } else if (record.RefMetadataComponentType === 'StandardEntity') {
+            // Standard objects are retrieved as CustomObject under their API name
+            resolved[id] = { type: 'CustomObject', apiName: record.RefMetadataComponentName };
+        } else {
+            resolved[id] = { type: record.RefMetadataComponentType, apiName: record.RefMetadataComponentName };
+        }
+    });
+    
+    // Fields reference their object by API name for standard objects and by Id for custom objects
+    const fields = fieldIds.length > 0
+        ? await runToolingQuery(`SELECT Id, DeveloperName, NamespacePrefix, TableEnumOrId FROM CustomField WHERE Id IN (${toSoqlList([...new Set(fieldIds)])})`, targetOrg)
+        : [];
+    fields.forEach(field => {
+        if (/^01I/.test(field.TableEnumOrId)) {
+            objectIds.push(field.TableEnumOrId);
+        }
+    });
+    
+    const objectNames = {};
+    if (objectIds.length > 0) {
+        const entities = await runToolingQuery(`SELECT DurableId, QualifiedApiName FROM EntityDefinition WHERE DurableId IN (${toSoqlList([...new Set(objectIds)])})`, targetOrg);
+        entities.forEach(entity => {
+            objectNames[entity.DurableId] = entity.QualifiedApiName;
+        });
+    }
+    
+    records.filter(record => record.RefMetadataComponentType === 'CustomObject').forEach(record => {
+        const id = record.RefMetadataComponentId;
+        resolved[id] = { type: 'CustomObject', apiName: objectNames[id] || `${record.RefMetadataComponentName}__c` };
+    });
+    fields.forEach(field => {
+        const objectName = objectNames[field.TableEnumOrId] || field.TableEnumOrId;
+        const fieldName = `${field.NamespacePrefix ? field.NamespacePrefix + '__' : ''}${field.DeveloperName}__c`;
+        resolved[field.Id] = { type: 'CustomField', apiName: `${objectName}.${fieldName}` };
+    });
+    
+    return resolved;
+}
+
+function toSoqlList(values) {
+    return values.map(value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`).join(',');
+}
+
+async function runToolingQuery(soql, targetOrg) {
+    const response = await runSf(['data', 'query', '--query', soql, '--use-tooling-api', ...targetOrgArgs(targetOrg)]);
+    return response.result?.records || [];
+}
+
+async function getFolderBasedComponents(metadataType, targetOrg) {
     return new Promise((resolve, reject) => {
-        exec(`sf org list metadata --metadata-type ${metadataType} --api-version ${apiVersion} --json`, { maxBuffer: 1024 * 1024 * 50 }, (error, stdout, stderr) => {
-            if (error) {
-                resolve([]);
-                return;
+        // Query the main object with all available fields for debugging
+        const soql = `SELECT Id, FolderId, DeveloperName, Name, Folder.DeveloperName, Folder.Name, LastModifiedDate, LastModifiedById, LastModifiedBy.Name, CreatedBy.Name, NamespacePrefix FROM ${metadataType}`;
+        console.log('Querying:', soql);
+        
+        runSf(['data', 'query', '--query', soql, ...targetOrgArgs(targetOrg)]).then(async result => {
+            try {
+                let records = result.result.records || [];
+                console.log('Found records:', records.length);
+                console.log('Sample record:', records[0]);
+                
+                if (records.length === 0) {
+                    resolve([]);
+                    return;
+                }
+                
+                // Get current user ID to filter records
+                const currentUserId = await getCurrentUserInfo(targetOrg);
+                console.log('Current user ID:', currentUserId);
+                
+                // Filter out records where FolderId is a user ID that is not the current user
+                records = records.filter(record => {
+                    // If FolderId is not a user ID (doesn't start with '005'), keep the record
+                    if (!record.FolderId || !record.FolderId.startsWith('005')) {
+                        return true;
+                    }
+                    
+                    // If FolderId is a user ID, check if it's the current user
+                    return record.FolderId === currentUserId;
+                });
+                
+                console.log('Records after filtering:', records.length);
+                
+                // Collect folder IDs and separate org IDs from actual folder IDs
+                const allFolderIds = [...new Set(records.map(r => r.FolderId).filter(id => id))];
+                const orgIds = allFolderIds.filter(id => id.startsWith('00D'));
+                const actualFolderIds = allFolderIds.filter(id => !id.startsWith('00D'));
+                console.log('All Folder IDs:', allFolderIds);
+                console.log('Org IDs:', orgIds);
+                console.log('Actual Folder IDs:', actualFolderIds);
+                
+                // Create folder map with org IDs as unfiled$public
+                const folderMap = {};
+                orgIds.forEach(orgId => {
+                    folderMap[orgId] = 'unfiled$public';
+                });
+                
+                if (actualFolderIds.length === 0) {
+                    console.log('No actual folder IDs found, using org mapping only');
+                    // Create components with org folder mapping
+                    const components = records.map(record => {
+                        const folderPath = folderMap[record.FolderId] || '';
+                        const fullPath = folderPath ? `${folderPath}/${record.DeveloperName}` : record.DeveloperName;
+                        console.log(`Component: ${record.DeveloperName}, FolderId: ${record.FolderId}, FolderPath: ${folderPath}, FullPath: ${fullPath}`);
+                        
+                        return {
+                            name: fullPath,
+                            apiName: fullPath,
+                            folderId: record.FolderId,
+                            folderPath: folderPath,
+                            ...getListMetadataFields(record)
+                        };
+                    }).sort((a, b) => a.name.localeCompare(b.name));
+                    
+                    resolve(components);
+                    return;
+                }
+                
+                // Query actual folders
+                const folderSoql = `SELECT DeveloperName, Id, ParentId FROM Folder WHERE Id IN (${toSoqlList(actualFolderIds)})`;
+                console.log('Querying folders:', folderSoql);
+                
+                runSf(['data', 'query', '--query', folderSoql, ...targetOrgArgs(targetOrg)]).then(folderResult => {
+                    try {
+                        const folders = folderResult.result.records || [];
+                        console.log('Found folders:', folders.length);
+                        console.log('Sample folder:', folders[0]);
+                        
+                        // Build folder hierarchy map for actual folders
+                        const actualFolderMap = buildFolderHierarchy(folders);
+                        
+                        // Merge with org folder map
+                        Object.assign(folderMap, actualFolderMap);
+                        console.log('Combined folder map:', folderMap);
+                        
+                        // Create components with folder paths
+                        const components = records.map(record => {
+                            const folderPath = folderMap[record.FolderId] || '';
+                            const fullPath = folderPath ? `${folderPath}/${record.DeveloperName}` : record.DeveloperName;
+                            console.log(`Component: ${record.DeveloperName}, FolderId: ${record.FolderId}, FolderPath: ${folderPath}, FullPath: ${fullPath}`);
+                            
+                            return {
+                                name: fullPath,
+                                apiName: fullPath,
+                                folderId: record.FolderId,
+                                folderPath: folderPath,
+                                ...getListMetadataFields(record)
+                            };
+                        }).sort((a, b) => a.name.localeCompare(b.name));
+                        
+                        resolve(components);
+                    } catch (e) {
+                        console.log('Error parsing folder result:', e.message);
+                        reject(e);
+                    }
+                }, folderError => {
+                    console.log('Error querying folders:', folderError.message);
+                    reject(folderError);
+                });
+            } catch (e) {
+                console.log('Error parsing main result:', e.message);
+                reject(e);
+            }
+        }, error => {
+            console.log('Error querying main object:', error.message);
+            reject(error);
+        });
+    });
+}
+
+// Last modified, created and namespace details of a SOQL record, named as in `sf org list metadata`
+function getListMetadataFields(record) {
+    return {
+        lastModifiedDate: record.LastModifiedDate,
+        lastModifiedById: record.LastModifiedById,
+        lastModifiedByName: record.LastModifiedBy?.Name,
+        createdByName: record.CreatedBy?.Name,
+        namespacePrefix: record.NamespacePrefix || undefined
+    };
+}
+
+function buildFolderHierarchy(folders) {
+    const folderMap = {};
+    const folderById = {};
+    
+    // Create lookup map
+    folders.forEach(folder => {
+        folderById[folder.Id] = folder;
+    });
+    
+    // Build hierarchy paths
+    function getPath(folderId, visited = new Set()) {
+        if (!folderId || visited.has(folderId)) return '';
+        
+        const folder = folderById[folderId];
+        if (!folder) return '';
+        
+        visited.add(folderId);
+        
+        if (!folder.ParentId) {
+            return folder.DeveloperName;
+        }
+        
+        const parentPath = getPath(folder.ParentId, visited);
+        return parentPath ? `${parentPath}/${folder.DeveloperName}` : folder.DeveloperName;
+    }
+    
+    folders.forEach(folder => {
+        folderMap[folder.Id] = getPath(folder.Id);
+    });
+    
+    return folderMap;
+}
+
+async function getMetadataTypesFromSalesforce(targetOrg) {
+    const apiVersion = await getLatestApiVersion(targetOrg);
+    return new Promise((resolve, reject) => {
+        runSf(['org', 'list', 'metadata-types', '--api-version', apiVersion, ...targetOrgArgs(targetOrg)]).then(result => {
+            try {
+                const metadataTypes = [];
+                
+                const convertPascalToLabel = (pascalStr) => {
+                    return pascalStr.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/([A-Z])([A-Z][a-z])/g, '$1 $2').trim();
+                };
+                
+                if (result.result && Array.isArray(result.result.metadataObjects)) {
+                    result.result.metadataObjects.forEach(obj => {
+                        metadataTypes.push({
+                            name: obj.xmlName,
+                            label: convertPascalToLabel(obj.xmlName)
+                        });
+                        
+                        // Child types remember their parent, e.g. CustomField -> CustomObject, for grouping and manifests
+                        if (obj.childXmlNames && Array.isArray(obj.childXmlNames)) {
+                            obj.childXmlNames.forEach(childName => {
+                                metadataTypes.push({
+                                    name: childName,
+                                    label: convertPascalToLabel(childName),
+                                    parent: obj.xmlName
+                                });
+                            });
+                        }
+                    });
+                }
+                
+                const uniqueTypes = metadataTypes.filter((type, index, self) => 
+                    index === self.findIndex(t => t.name === type.name)
+                ).sort((a, b) => a.label.localeCompare(b.label));
+                
+                resolve(uniqueTypes);
+            } catch (e) {
+                reject(`ERROR: ${e.message}`);
+            }
+        }, error => {
+            reject(`ERROR: ${error.message}`);
+        });
+    });
+}
+
+function getWebviewContent() {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <title>Salesforce Metadata Manager</title>
+        <style>
+            /* Colours follow the VS Code theme; the values after the commas are used outside VS Code */
+            :root {
+                --mm-background: var(--vscode-editor-background, #f3f3f3);
+                --mm-surface: var(--vscode-sideBar-background, white);
+                --mm-foreground: var(--vscode-foreground, #181818);
+                --mm-heading: var(--vscode-foreground, #003876);
+                --mm-label: var(--vscode-foreground, #444444);
+                --mm-muted: var(--vscode-descriptionForeground, #706e6b);
+                --mm-border: var(--vscode-panel-border, #d8dde6);
+                --mm-row-border: var(--vscode-panel-border, #e5e5e5);
+                --mm-header: var(--vscode-editorGroupHeader-tabsBackground, #e8e8e8);
+                --mm-input-background: var(--vscode-input-background, white);
+                --mm-input-foreground: var(--vscode-input-foreground, #181818);
+                --mm-focus: var(--vscode-focusBorder, #1589ee);
+                --mm-button-background: var(--vscode-button-background, #1589ee);
+                --mm-button-foreground: var(--vscode-button-foreground, white);
+                --mm-button-disabled: var(--vscode-button-secondaryBackground, #dddbda);
+                --mm-button-disabled-foreground: var(--vscode-disabledForeground, #706e6b);
+                --mm-highlight: var(--vscode-list-hoverBackground, #eef4ff);
+                --mm-selected: var(--vscode-list-activeSelectionBackground, #eef4ff);
+                --mm-selected-foreground: var(--vscode-list-activeSelectionForeground, inherit);
+                --mm-link: var(--vscode-textLink-foreground, #1589ee);
+                --mm-badge-background: var(--vscode-badge-background, #eef4ff);
+                --mm-badge-foreground: var(--vscode-badge-foreground, #0070d2);
+                --mm-error: var(--vscode-errorForeground, #dc3545);
+                --mm-error-hover: var(--vscode-inputValidation-errorBackground, #cb2431);
+                --mm-success: var(--vscode-testing-iconPassed, #28a745);
+                --mm-warning: var(--vscode-editorWarning-foreground, #dd7a01);
+                --mm-tooltip-background: var(--vscode-editorHoverWidget-background, black);
+                --mm-shadow: var(--vscode-widget-shadow, rgba(0,0,0,0.1));
+            }
+            body { font-family: 'Salesforce Sans', Arial, sans-serif; font-size: 14px; line-height: 1.5; padding: 24px; background: var(--mm-background); color: var(--mm-foreground); }
+            h1 { font-size: 25px; font-weight: 300; color: var(--mm-heading); margin-bottom: 24px; font-family: 'Aptos', Arial, sans-serif; }
+            .form-group { margin-bottom: 16px; }
+            label { display: block; margin-bottom: 8px; font-weight: 300; font-size: 20px; color: var(--mm-label); font-family: 'Aptos', Arial, sans-serif; }
+            select, input { width: 100%; padding: 12px 16px; border: 1px solid var(--mm-border); border-radius: 4px; background: var(--mm-input-background); color: var(--mm-input-foreground); font-size: 14px; font-family: 'Salesforce Sans', Arial, sans-serif; }
+            input[readonly] { width: calc(100% - 32px); }
+            select:focus, input:focus { outline: none; border-color: var(--mm-focus); box-shadow: 0 0 0 1px var(--mm-focus); }
+            select:disabled { background: var(--mm-background); color: var(--mm-muted); }
+            button:disabled { background: var(--mm-button-disabled) !important; color: var(--mm-button-disabled-foreground); cursor: not-allowed; }
+            button:enabled { background: var(--mm-button-background) !important; }
+            table { width: 100%; border-collapse: collapse; margin-top: 0px; background: var(--mm-surface); border-radius: 4px; overflow: hidden; box-shadow: 0 2px 4px var(--mm-shadow); }
+            th, td { padding: 0px 8px; text-align: left; border-bottom: 1px solid var(--mm-row-border); height: 32px; vertical-align: middle; line-height: 32px; }
+            th { background: var(--mm-header); color: var(--mm-label); font-weight: 600; font-size: 15px; font-family: 'Aptos', Arial, sans-serif; }
+            td { font-size: 14px; color: var(--mm-foreground); }
+            th:last-child, td:last-child { text-align: center; vertical-align: middle; }
+            .remove-btn { background: var(--mm-error); color: var(--mm-button-foreground); border: none; cursor: pointer; font-size: 10px; height: 20px; width: 20px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; text-decoration: none; }
+            .remove-btn:hover { background: var(--mm-error-hover); }
+            #selectedComponentTable { border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); }
+            #availableComponentTable th { position: sticky; top: 0; font-size: 13px; cursor: pointer; white-space: nowrap; }
+            #availableComponentTable td { font-size: 13px; }
+            .component-filter { width: auto; padding: 4px 8px; font-size: 13px; }
+            .namespace-badge { display: inline-block; margin-left: 6px; padding: 0 6px; border-radius: 8px; background: var(--mm-badge-background); color: var(--mm-badge-foreground); font-size: 11px; line-height: 16px; vertical-align: middle; }
+            .component-filter-label { display: inline; margin: 0; font-size: 13px; font-weight: normal; font-family: 'Salesforce Sans', Arial, sans-serif; }
+            /* Keyboard focus and text only read by screen readers */
+            tr:focus, th:focus { outline: 1px solid var(--mm-focus); outline-offset: -1px; }
+            button:focus-visible, .remove-btn:focus-visible { outline: 1px solid var(--mm-focus); outline-offset: 2px; }
+            .sr-only { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }
+            @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
+            /* Combobox styles */
+            .combobox-container { position: relative; width: 100%; }
+            .combobox-input { width: 100%; padding: 12px 16px; border: 1px solid var(--mm-border); border-radius: 4px; background: var(--mm-input-background); color: var(--mm-input-foreground); font-size: 14px; font-family: 'Salesforce Sans', Arial, sans-serif; font-style: normal; }
+            .combobox-input.error { color: var(--mm-error); font-weight: bold; font-style: italic; }
+            .combobox-input.error::placeholder { color: var(--mm-error); font-weight: bold; font-style: italic; }
+            .combobox-input:focus { outline: none; border-color: var(--mm-focus); box-shadow: 0 0 0 1px var(--mm-focus); }
+            .dropdown-list { position: absolute; top: 100%; left: 0; right: 0; background: var(--mm-surface); border: 1px solid var(--mm-border); border-top: none; border-radius: 0 0 4px 4px; max-height: 200px; overflow-y: auto; z-index: 1000; display: none; }
+            .dropdown-item { padding: 8px 16px; cursor: pointer; }
+            .dropdown-item:hover { background-color: var(--mm-highlight); }
+            .dropdown-item.selected { background-color: var(--mm-selected); color: var(--mm-selected-foreground); }
+            .dropdown-item.highlighted { background-color: var(--mm-selected); color: var(--mm-selected-foreground); }
+            .spinner {
+                border: 2px solid var(--mm-border);
+                border-top: 2px solid var(--mm-focus);
+                border-radius: 50%;
+                width: 16px;
+                height: 16px;
+                animation: spin 1s linear infinite;
+                display: none;
+                margin-left: 10px;
+                vertical-align: middle;
+            }
+            /* Tooltip styles */
+            .tooltip {
+                position: relative;
+                display: inline-block;
+            }
+            
+            .tooltip .tooltiptext {
+                visibility: hidden;
+                width: 400px;
+                background-color: var(--mm-tooltip-background);
+                color: var(--mm-error);
+                text-align: left;
+                border-radius: 4px;
+                padding: 8px 12px;
+                position: absolute;
+                z-index: 1;
+                bottom: 125%;
+                left: 50%;
+                margin-left: -200px;
+                opacity: 0;
+                transition: opacity 0.3s;
+                font-style: italic;
+                font-size: 12px;
+                border: 1px solid var(--mm-error);
+                box-sizing: border-box;
+                max-width: 90vw;
+                word-wrap: break-word;
+                line-height: 1.4;
+            }
+            
+            .tooltip:hover .tooltiptext {
+                visibility: visible;
+                opacity: 1;
+            }
+            
+            .tooltip .tooltiptext::after {
+                content: "";
+                position: absolute;
+                top: 100%;
+                left: 50%;
+                margin-left: -5px;
+                border-width: 5px;
+                border-style: solid;
+                border-color: var(--mm-error) transparent transparent transparent;
+            }
+            
+            /* Ensure tooltip stays within screen bounds */
+            @media screen and (max-width: 500px) {
+                .tooltip .tooltiptext {
+                    width: 90vw;
+                    margin-left: -45vw;
+                    left: 50%;
+                }
+            }
+        </style>
+    </head>
+    <body>
+        <div id="announcer" class="sr-only" role="status" aria-live="polite"></div>
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px;">
+            <h1 style="margin: 0;">Salesforce Metadata Manager</h1>
+            <div style="display: flex; align-items: center; gap: 8px; margin-left: auto; margin-right: 16px;">
+                <span style="color: var(--mm-label); font-weight: 600; font-family: 'Aptos', Arial, sans-serif;">Org</span>
+                <select id="orgSelect" title="Target org" style="width: 320px; padding: 8px 12px;">
+                    <option value="">Loading orgs...</option>
+                </select>
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <button id="previewBtn" disabled title="Compare the components in the org with the local project before retrieving" style="padding: 12px 24px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 14px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: flex; align-items: center;">
+                    <span>Preview Retrieve</span>
+                    <div id="previewSpinner" class="spinner" style="margin-left: 10px;"></div>
+                </button>
+                <select id="retrieveDestinationSelect" title="Where retrieved components are written" style="width: 230px; padding: 6px 8px;">
+                    <option value="project">Into the project</option>
+                    <option value="source">Backup folder (source format)</option>
+                    <option value="metadata">Backup folder (metadata format)</option>
+                    <option value="zip">Backup zip (metadata format)</option>
+                </select>
+                <button id="retrieveBtn" disabled style="padding: 12px 24px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 14px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: flex; align-items: center;">
+                    <span>Retrieve Components</span>
+                    <div id="retrieveSpinner" class="spinner" style="margin-left: 10px;"></div>
+                    <span id="retrieveElapsed" style="margin-left: 8px; font-weight: normal;"></span>
+                </button>
+                <button id="cancelRetrieveBtn" title="Stop waiting for the retrieve; no files are written" style="padding: 12px 24px; background: var(--mm-muted); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 14px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Cancel</button>
+                <button id="deployBtn" disabled style="padding: 12px 24px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 14px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: flex; align-items: center;">
+                    <span>Deploy Components</span>
+                    <div id="deploySpinner" class="spinner" style="margin-left: 10px;"></div>
+                </button>
+            </div>
+        </div>
+        
+        <div class="form-group">
+            <div>
+                <label>Manifest</label>
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <select id="manifestSelect" title="Manifest" style="flex: 1;">
+                    <option value="">Loading manifests...</option>
+                </select>
+                <button id="newManifestBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">New</button>
+                <button id="renameManifestBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Rename</button>
+                <button id="openManifestBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Open</button>
+                <button id="historyBtn" title="Past retrieves of this workspace" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">History</button>
+            </div>
+        </div>
+
+        <div class="form-group">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <label>Metadata Type</label>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <button id="objectPickerBtn" title="Pick an object, then its fields, record types, validation rules and other components" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">By Object</button>
+                    <button id="orgCompareBtn" title="Find components that differ between the selected org and another org" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Compare Orgs</button>
+                    <button id="globalSearchBtn" title="Search components by name across metadata types" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Search All Types</button>
+                    <span id="metadataTypesRefreshed" style="font-size: 12px; color: var(--mm-muted);"></span>
+                    <button id="refreshMetadataTypesBtn" title="Reload metadata types from the org" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Refresh</button>
+                </div>
+            </div>
+            <div class="combobox-container">
+                <input id="metadataTypeInput" class="combobox-input" type="text" placeholder="Select metadata type" role="combobox" aria-label="Metadata type" aria-autocomplete="list" aria-expanded="false" aria-controls="metadataTypeDropdown" style="width: calc(100% - 32px); padding: 12px 16px; border: 1px solid var(--mm-border); border-radius: 4px; background: var(--mm-input-background); color: var(--mm-foreground); font-size: 14px; font-family: 'Salesforce Sans', Arial, sans-serif; font-style: italic;">
+                <div id="metadataTypeSpinner" class="spinner" style="position: absolute; right: 16px; top: 35%; transform: translateY(-50%);"></div>
+                <div id="metadataTypeDropdown" class="dropdown-list" role="listbox" aria-label="Metadata types"></div>
+            </div>
+        </div>
+
+        <div id="globalSearchSection" class="form-group" style="display: none;">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <label>Search All Types</label>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <span id="indexProgress" style="font-size: 12px; color: var(--mm-muted);"></span>
+                    <button id="buildIndexBtn" title="List the components of the chosen metadata types" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Build Index</button>
+                    <button id="addSearchResultsBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Add</button>
+                    <button id="closeGlobalSearchBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Close</button>
+                </div>
+            </div>
+            <div style="display: flex; align-items: flex-start; gap: 8px;">
+                <input type="text" id="globalSearchInput" placeholder="Search components in all indexed metadata types..." style="flex: 1; font-style: italic;">
+                <select id="indexTypesSelect" multiple size="4" title="Metadata types to index. Select none to index all types." style="width: 260px; padding: 4px;"></select>
+            </div>
+            <div id="globalSearchResults" style="margin-top: 6px; background: var(--mm-surface); border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); max-height: 240px; overflow-y: auto;"></div>
+        </div>
+
+        <div id="orgCompareSection" class="form-group" style="display: none;">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <label>Compare Orgs</label>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <span id="orgCompareProgress" style="font-size: 12px; color: var(--mm-muted);"></span>
+                    <button id="compareOrgsBtn" title="List the chosen metadata types in both orgs" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Compare</button>
+                    <button id="addDifferencesBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Add</button>
+                    <button id="closeOrgCompareBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Close</button>
+                </div>
+            </div>
+            <div style="display: flex; align-items: flex-start; gap: 8px;">
+                <label for="compareOrgSelect" class="component-filter-label" style="white-space: nowrap;">Compare with</label>
+                <select id="compareOrgSelect" title="Org to compare the selected org with" style="flex: 1; padding: 6px 8px;"></select>
+                <select id="compareTypesSelect" multiple size="4" title="Metadata types to compare" style="width: 260px; padding: 4px;"></select>
+            </div>
+            <div id="orgCompareResults" style="margin-top: 6px; background: var(--mm-surface); border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); max-height: 240px; overflow-y: auto;"></div>
+        </div>
+
+        <div id="objectPickerSection" class="form-group" style="display: none;">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <label>Components by Object</label>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <span id="objectPickerProgress" style="font-size: 12px; color: var(--mm-muted);"></span>
+                    <button id="addObjectComponentsBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Add</button>
+                    <button id="closeObjectPickerBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Close</button>
+                </div>
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <label for="objectSelect" class="component-filter-label" style="white-space: nowrap;">Object</label>
+                <select id="objectSelect" title="Object whose fields, record types, validation rules and other children are listed" style="flex: 1; padding: 6px 8px;"></select>
+                <label for="wholeObjectInput" class="component-filter-label" title="Add the object itself, which retrieves all of its children" style="display: flex; align-items: center; gap: 4px; white-space: nowrap;">
+                    <input type="checkbox" id="wholeObjectInput" style="width: auto; margin: 0;">
+                    Whole object
+                </label>
+            </div>
+            <div id="objectComponents" style="margin-top: 6px; background: var(--mm-surface); border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); max-height: 240px; overflow-y: auto;"></div>
+        </div>
+
+        <div class="form-group">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <label>Available Components</label>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <span id="componentsRefreshed" style="font-size: 12px; color: var(--mm-muted);"></span>
+                    <button id="refreshComponentsBtn" title="Reload components of this type from the org" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Refresh</button>
+                    <label for="wildcardInput" id="wildcardToggle" style="display: none; align-items: center; gap: 4px; margin: 0; font-size: 14px; font-weight: normal;">
+                        <input type="checkbox" id="wildcardInput" style="width: auto; margin: 0;">
+                        Select all (*)
+                    </label>
+                    <button id="addComponentBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Add</button>
+                </div>
+            </div>
+            <div id="componentDiv" style="border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); background: var(--mm-surface); min-height: 100px;">
+                <div id="noComponentsMessage" style="padding: 20px; text-align: center; color: var(--mm-muted); font-style: italic; display: flex; align-items: center; justify-content: center; height: 100px;">No components available</div>
+                <div id="loadingComponentsMessage" style="padding: 20px; text-align: center; color: var(--mm-muted); font-style: italic; display: none; flex-direction: column; align-items: center; justify-content: center; height: 100px;">
+                    <span id="loadingComponentsText"></span>
+                    <div class="spinner" style="margin-top: 10px; display: inline-block;"></div>
+                </div>
+            </div>
+            <div id="searchComponentContainer" style="display: none; padding: 0; margin-bottom: 1px;">
+                <input type="text" id="searchComponentInput" placeholder="Search components..." style="width: calc(100% - 32px); padding: 12px 16px; border: 1px solid var(--mm-border); border-radius: 4px; background: var(--mm-input-background); color: var(--mm-foreground); font-size: 14px; font-family: 'Salesforce Sans', Arial, sans-serif; font-style: italic;">
+                <div style="display: flex; align-items: center; gap: 8px; margin-top: 6px;">
+                    <label for="modifiedSinceInput" class="component-filter-label">Modified since</label>
+                    <input type="date" id="modifiedSinceInput" class="component-filter">
+                    <label for="modifiedBySelect" class="component-filter-label">Modified by</label>
+                    <select id="modifiedBySelect" class="component-filter">
+                        <option value="">Anyone</option>
+                    </select>
+                    <label for="namespaceSelect" class="component-filter-label">Namespace</label>
+                    <select id="namespaceSelect" class="component-filter">
+                        <option value="">All</option>
+                    </select>
+                    <label for="hideInstalledInput" class="component-filter-label" title="Hide components of installed managed and unlocked packages" style="display: flex; align-items: center; gap: 4px;">
+                        <input type="checkbox" id="hideInstalledInput" checked style="width: auto; margin: 0;">
+                        Hide installed packages <span id="hiddenInstalledCount" style="color: var(--mm-muted);"></span>
+                    </label>
+                </div>
+            </div>
+            <div id="componentTableContainer" style="display: none; border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); background: var(--mm-surface); max-height: 192px; overflow-y: auto;">
+                <table id="availableComponentTable" role="grid" aria-label="Available components" style="width: 100%; border-collapse: collapse; margin-top: 0px; background: var(--mm-surface); border-radius: 4px;">
+                    <thead id="componentTableHead">
+                    </thead>
+                    <tbody id="componentTableBody">
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        
+        <div class="form-group" style="margin-bottom: 5px; display: flex; justify-content: space-between; align-items: center;">
+            <label>Selected Components <span id="retrieveBatchProgress" style="margin-left: 8px; font-size: 12px; font-weight: normal; color: var(--mm-muted);"></span></label>
+            <div id="deployOptions" style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                <button id="fromProjectBtn" title="Add components from the project's source files or from the files changed in a git branch" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">From Project</button>
+                <button id="dependenciesBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Add Dependencies</button>
+                <button id="generateDestructiveBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Generate Destructive Changes</button>
+                <label for="checkOnlyInput" style="display: flex; align-items: center; gap: 4px; margin: 0; font-size: 14px; font-weight: normal;">
+                    <input type="checkbox" id="checkOnlyInput" style="width: auto; margin: 0;">
+                    Check only
+                </label>
+                <select id="testLevelSelect" title="Test level" style="width: 180px; padding: 6px 8px;">
+                    <option value="NoTestRun">NoTestRun</option>
+                    <option value="RunLocalTests">RunLocalTests</option>
+                    <option value="RunSpecifiedTests">RunSpecifiedTests</option>
+                </select>
+                <input type="text" id="specifiedTestsInput" placeholder="Test classes, comma-separated" style="width: 240px; padding: 6px 8px; display: none;">
+            </div>
+        </div>
+        <div id="selectedComponentTable">
+            <div style="padding: 20px; text-align: center; color: var(--mm-muted); font-style: italic;">No selected components</div>
+        </div>
+
+        <div id="previewSection" style="display: none; margin-top: 20px;">
+            <div class="form-group" style="margin-bottom: 5px; display: flex; justify-content: space-between; align-items: center;">
+                <label>Retrieve Preview</label>
+                <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                    <button id="retrievePreviewBtn" title="Retrieve the ticked components into the project" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Retrieve Selected</button>
+                    <button id="closePreviewBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Close</button>
+                </div>
+            </div>
+            <div id="previewList" style="background: var(--mm-surface); border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); padding: 12px 16px; max-height: 300px; overflow-y: auto;"></div>
+        </div>
+
+        <div id="historySection" style="display: none; margin-top: 20px;">
+            <div class="form-group" style="margin-bottom: 5px; display: flex; justify-content: space-between; align-items: center;">
+                <label>Retrieve History</label>
+                <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                    <button id="closeHistoryBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Close</button>
+                </div>
+            </div>
+            <div id="historyList" style="background: var(--mm-surface); border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); padding: 12px 16px; max-height: 300px; overflow-y: auto;"></div>
+        </div>
+
+        <div id="dependencySection" style="display: none; margin-top: 20px;">
+            <div class="form-group" style="margin-bottom: 5px; display: flex; justify-content: space-between; align-items: center;">
+                <label>Dependencies</label>
+                <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                    <button id="addDependenciesBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Add Selected Dependencies</button>
+                    <button id="closeDependenciesBtn" style="padding: 6px 12px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif;">Close</button>
+                </div>
+            </div>
+            <div id="dependencyTree" style="background: var(--mm-surface); border-radius: 4px; box-shadow: 0 2px 4px var(--mm-shadow); padding: 12px 16px; max-height: 300px; overflow-y: auto;"></div>
+        </div>
+
+
+        <div id="retrieveWarnings" style="display: none; margin-top: 20px;">
+            <div class="form-group">
+                <label>Warnings</label>
+                <ul id="retrieveWarningList" style="color: var(--mm-warning); background: var(--mm-background); border: 1px solid var(--mm-border); border-radius: 4px; margin: 0; padding: 12px 16px 12px 32px; line-height: 1.4;"></ul>
+            </div>
+        </div>
+
+        <div id="resultSection" style="display: none; margin-top: 20px;">
+            <div class="form-group">
+                <label>Error Information</label>
+                <div id="errorMessage" style="color: var(--mm-error); background: var(--mm-background); border: 1px solid var(--mm-border); border-radius: 4px; padding: 12px 16px; width: calc(100% - 32px); min-height: 20px; line-height: 1.4; white-space: pre-line;"></div>
+            </div>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+            let metadataTypes = [];
+            let selectedComponents = [];
+            // Alias or username of the chosen org; '' is the CLI default org
+            let currentTargetOrg = '';
+            const wildcardUnsupportedTypes = ${JSON.stringify(WILDCARD_UNSUPPORTED_TYPES)};
+            
+            function supportsWildcard(metadataType) {
+                return !wildcardUnsupportedTypes.includes(metadataType);
+            }
+            
+            function hasWildcard(metadataType) {
+                return selectedComponents.some(comp => comp.type === metadataType && comp.apiName === '*');
+            }
+            
+            // A CustomObject wildcard only covers custom objects, so standard objects still have to be listed
+            function isCoveredByWildcard(metadataType, apiName) {
+                if (metadataType === 'CustomObject') {
+                    return apiName.includes('__');
+                }
+                return true;
+            }
+            
+
+            function removeComponent(index) {
+                const removedComponent = selectedComponents.splice(index, 1)[0];
+                document.getElementById('resultSection').style.display = 'none';
+                updateTable();
+                
+                // Check if the metadata type of the removed component matches the currently selected metadata type
+                const metadataTypeInput = document.getElementById('metadataTypeInput');
+                const currentMetadataType = metadataTypeInput.dataset.selectedType || '';
+                
+                if (removedComponent && removedComponent.type === currentMetadataType && removedComponent.apiName === '*') {
+                    // Reload so the components covered by the wildcard become available again
+                    onMetadataTypeSelect(currentMetadataType);
+                } else if (removedComponent && removedComponent.type === currentMetadataType) {
+                    // Add the removed component back to allComponents and sort
+                    // Create a component object with the same structure as the ones from Salesforce
+                    const componentToAdd = {
+                        name: removedComponent.name || removedComponent.apiName,
+                        apiName: removedComponent.apiName
+                    };
+                    
+                    // Add to allComponents if it's not already there
+                    if (!allComponents.some(comp => comp.apiName === componentToAdd.apiName)) {
+                        allComponents.push(componentToAdd);
+                        // Sort allComponents by name
+                        allComponents.sort((a, b) => a.name.localeCompare(b.name));
+                    }
+                    
+                    // Update the component table if it's visible
+                    if (document.getElementById('componentTableContainer').style.display === 'block') {
+                        renderComponentTable();
+                    } else if (allComponents.length > 0) {
+                        // Show component table with components
+                        document.getElementById('componentDiv').style.display = 'none';
+                        document.getElementById('searchComponentContainer').style.display = 'block';
+                        document.getElementById('componentTableContainer').style.display = 'block';
+                        
+                        renderComponentTable();
+                    }
+                }
+            }
+
+            function updateTable() {
+                const tableContainer = document.getElementById('selectedComponentTable');
+                const previewBtn = document.getElementById('previewBtn');
+                const retrieveBtn = document.getElementById('retrieveBtn');
+                const deployBtn = document.getElementById('deployBtn');
+                
+                previewBtn.disabled = selectedComponents.length === 0;
+                retrieveBtn.disabled = selectedComponents.length === 0;
+                deployBtn.disabled = selectedComponents.length === 0;
+                
+                if (selectedComponents.length === 0) {
+                    previewBtn.style.background = 'var(--mm-button-disabled)';
+                    retrieveBtn.style.background = 'var(--mm-button-disabled)';
+                    deployBtn.style.background = 'var(--mm-button-disabled)';
+                } else {
+                    previewBtn.style.background = 'var(--mm-button-background)';
+                    retrieveBtn.style.background = 'var(--mm-button-background)';
+                    deployBtn.style.background = 'var(--mm-button-background)';
+                }
+                
+                // A preview only applies to the selection it was built for
+                previewComponents = null;
+                document.getElementById('previewSection').style.display = 'none';
+                
+                if (selectedComponents.length === 0) {
+                    tableContainer.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--mm-muted); font-style: italic;">No selected components</div>';
+                    document.getElementById('resultSection').style.display = 'none';
+                    document.getElementById('generateDestructiveBtn').style.display = 'none';
+                    document.getElementById('dependenciesBtn').style.display = 'none';
+                    return;
+                }
+                
+                if (!tableContainer.querySelector('table')) {
+                    tableContainer.innerHTML = \`
+                        <table role="grid" aria-label="Selected components">
+                            <thead>
+                                <tr>
+                                    <th>Component API Name</th>
+                                    <th>Metadata Type</th>
+                                    <th>Retrieval Status</th>
+                                    <th>Delete</th>
+                                    <th>Action</th>
+                                </tr>
+                            </thead>
+                            <tbody id="selectedComponents">
+                            </tbody>
+                        </table>
+                    \`;
+                }
+                
+                const tbody = document.getElementById('selectedComponents');
+                tbody.innerHTML = '';
+                clearRetrievedFiles();
+                
+                selectedComponents.forEach((comp, index) => {
+                    const convertPascalToLabel = (pascalStr) => {
+                        return pascalStr.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/([A-Z])([A-Z][a-z])/g, '$1 $2').trim();
+                    };
+                    const typeLabel = metadataTypes.find(t => t.name === comp.type)?.label || convertPascalToLabel(comp.type);
+                    const row = tbody.insertRow();
+                    // Components marked for deletion are struck through
+                    const nameStyle = comp.destructive ? 'text-decoration: line-through; color: var(--mm-error);' : '';
+                    const isWildcard = comp.apiName === '*';
+                    const wildcardNote = comp.type === 'CustomObject' ? 'all custom objects' : 'all components';
+                    const coveringParent = isWildcard ? null : getCoveringParent(comp);
+                    let name = isWildcard ? '* <span style="color: var(--mm-muted); font-style: italic;">(' + wildcardNote + ')</span>' : comp.apiName;
+                    if (coveringParent) {
+                        name += ' <span style="color: var(--mm-muted); font-style: italic;" title="Left out of the manifest, since the parent retrieves it">(with ' + coveringParent + ')</span>';
+                    }
+                    row.id = 'selected-row-' + index;
+                    row.tabIndex = -1;
+                    row.innerHTML = \`
+                        <td style="\${nameStyle}">\${name}</td>
+                        <td>\${typeLabel}</td>
+                        <td id="status-\${index}" style="text-align: left; font-weight: bold;">-</td>
+                        <td style="width: 150px;">
+                            <select onchange="setDestructive(\${index}, this.value)" \${isWildcard ? 'disabled title="Wildcards cannot be deleted"' : 'title="Delete this component from the org"'} style="width: auto; padding: 2px 4px; font-size: 12px;">
+                                <option value="" \${!comp.destructive ? 'selected' : ''}>-</option>
+                                <option value="pre" \${comp.destructive === 'pre' ? 'selected' : ''}>Before deploy</option>
+                                <option value="post" \${comp.destructive === 'post' ? 'selected' : ''}>After deploy</option>
+                            </select>
+                        </td>
+                        <td><span class="remove-btn" role="button" tabindex="-1" aria-label="Remove \${comp.apiName}" onclick="removeComponent(\${index})">🗑️</span></td>
+                    \`;
+                });
+                
+                updateGridTabStop(tbody);
+                
+                document.getElementById('generateDestructiveBtn').style.display = selectedComponents.some(comp => comp.destructive) ? 'block' : 'none';
+                document.getElementById('dependenciesBtn').style.display = 'block';
+                document.getElementById('wildcardInput').checked = hasWildcard(document.getElementById('metadataTypeInput').dataset.selectedType || '');
+            }
+            
+            // Asks the extension for the components referenced by the selection
+            function analyseDependencies() {
+                const components = selectedComponents.filter(comp => !comp.destructive && comp.apiName !== '*');
+                if (components.length === 0) {
+                    return;
+                }
+                
+                document.getElementById('dependencySection').style.display = 'block';
+                document.getElementById('addDependenciesBtn').style.display = 'none';
+                document.getElementById('dependencyTree').innerHTML = '<div style="color: var(--mm-muted); font-style: italic; display: flex; align-items: center;">Analysing dependencies...<div class="spinner" style="display: inline-block;"></div></div>';
+                
+                vscode.postMessage({
+                    command: 'getDependencies',
+                    components: components
+                });
+            }
+            
+            function isSelected(type, apiName) {
+                return selectedComponents.some(comp => comp.type === type && (comp.apiName === apiName || (comp.apiName === '*' && isCoveredByWildcard(type, apiName))));
+            }
+            
+            function getTypeLabel(type) {
+                const convertPascalToLabel = (pascalStr) => {
+                    return pascalStr.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/([A-Z])([A-Z][a-z])/g, '$1 $2').trim();
+                };
+                return metadataTypes.find(t => t.name === type)?.label || convertPascalToLabel(type);
+            }
+            
+            // Shows each analysed component with the components it references; selected ones are ticked and disabled
+            function renderDependencyTree(dependencies) {
+                const dependencyTree = document.getElementById('dependencyTree');
+                dependencyTree.innerHTML = '';
+                
+                if (dependencies.length === 0) {
+                    dependencyTree.innerHTML = '<div style="color: var(--mm-muted); font-style: italic;">No components to analyse</div>';
+                    return;
+                }
+                
+                dependencies.forEach(entry => {
+                    const header = document.createElement('div');
+                    header.style.fontWeight = '600';
+                    header.textContent = getTypeLabel(entry.component.type) + ': ' + entry.component.apiName;
+                    dependencyTree.appendChild(header);
+                    
+                    const list = document.createElement('ul');
+                    list.style.cssText = 'list-style: none; margin: 4px 0 12px; padding-left: 20px;';
+                    
+                    if (entry.dependencies.length === 0) {
+                        list.innerHTML = '<li style="color: var(--mm-muted); font-style: italic;">No dependencies found</li>';
+                    }
+                    
+                    entry.dependencies.forEach(dependency => {
+                        const selected = isSelected(dependency.type, dependency.apiName);
+                        const item = document.createElement('li');
+                        item.innerHTML = \`
+                            <label style="display: flex; align-items: center; gap: 6px; margin: 0; font-size: 14px; font-weight: normal; color: var(--mm-foreground);">
+                                <input type="checkbox" class="dependency-checkbox" data-type="\${escapeHtml(dependency.type)}" data-api-name="\${escapeHtml(dependency.apiName)}" \${selected ? 'checked disabled' : ''} style="width: auto; margin: 0;">
+                                <span>\${escapeHtml(dependency.apiName)}</span>
+                                <span style="color: var(--mm-muted);">(\${escapeHtml(getTypeLabel(dependency.type))})\${selected ? ' - already selected' : ''}</span>
+                            </label>
+                        \`;
+                        list.appendChild(item);
+                    });
+                    
+                    dependencyTree.appendChild(list);
+                });
+                
+                // Show the add button only when a dependency is ticked
+                dependencyTree.querySelectorAll('.dependency-checkbox').forEach(checkbox => {
+                    checkbox.addEventListener('change', function() {
+                        const anyChecked = dependencyTree.querySelectorAll('.dependency-checkbox:checked:not(:disabled)').length > 0;
+                        document.getElementById('addDependenciesBtn').style.display = anyChecked ? 'block' : 'none';
+                    });
+                });
+            }
+            
+            function addSelectedDependencies() {
+                const dependencyTree = document.getElementById('dependencyTree');
+                const added = [];
+                
+                dependencyTree.querySelectorAll('.dependency-checkbox:checked:not(:disabled)').forEach(checkbox => {
+                    const type = checkbox.dataset.type;
+                    const apiName = checkbox.dataset.apiName;
+                    if (!isSelected(type, apiName)) {
+                        selectedComponents.push({
+                            name: apiName,
+                            apiName: apiName,
+                            type: type
+                        });
+                        added.push({ type, apiName });
+                    }
+                });
+                
+                if (added.length === 0) {
+                    return;
+                }
+                
+                updateTable();
+                
+                // Refresh the tree so added dependencies show as selected
+                dependencyTree.querySelectorAll('.dependency-checkbox').forEach(checkbox => {
+                    if (isSelected(checkbox.dataset.type, checkbox.dataset.apiName)) {
+                        checkbox.checked = true;
+                        checkbox.disabled = true;
+                    }
+                });
+                document.getElementById('addDependenciesBtn').style.display = 'none';
+                
+                removeSelectedFromAvailable(added);
             }
             
-            try {
-                const result = JSON.parse(stdout);
-                const components = result.result.map(item => ({
-                    name: item.fullName,
-                    apiName: item.fullName
-                })).sort((a, b) => a.name.localeCompare(b.name));
-                resolve(components);
-            } catch (e) {
-                resolve([]);
+            // Adds the components found in the project's source files to the selection, skipping those already selected
+            function addProjectComponents(components) {
+                const added = components.filter(comp => !isSelected(comp.type, comp.apiName));
+                if (added.length === 0) {
+                    return;
+                }
+                selectedComponents = selectedComponents.concat(added);
+                updateTable();
+                removeSelectedFromAvailable(added);
             }
-        });
-    });
-}
-
-async function getFolderBasedComponents(metadataType) {
-    return new Promise((resolve) => {
-        // Query the main object with all available fields for debugging
-        const soql = `SELECT Id, FolderId, DeveloperName, Name, Folder.DeveloperName, Folder.Name FROM ${metadataType}`;
-        console.log('Querying:', soql);
-        
-        exec(`sf data query --query "${soql}" --json`, { maxBuffer: 1024 * 1024 * 50 }, async (error, stdout, stderr) => {
-            if (error) {
-                console.log('Error querying main object:', error.message);
-                resolve([]);
-                return;
+            
+            // Components added from outside the available components table are no longer available for selection
+            function removeSelectedFromAvailable(added) {
+                const currentMetadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
+                if (added.some(comp => comp.type === currentMetadataType)) {
+                    allComponents = allComponents.filter(comp => !isSelected(currentMetadataType, comp.apiName));
+                    if (document.getElementById('componentTableContainer').style.display === 'block') {
+                        renderComponentTable();
+                    }
+                }
             }
             
-            try {
-                const result = JSON.parse(stdout);
-                let records = result.result.records || [];
-                console.log('Found records:', records.length);
-                console.log('Sample record:', records[0]);
+            function openGlobalSearch() {
+                document.getElementById('globalSearchSection').style.display = 'block';
+                populateIndexTypesSelect();
+                if (componentIndex.length === 0 && !indexBuilding) {
+                    buildComponentIndex();
+                }
+                document.getElementById('globalSearchInput').focus();
+            }
+            
+            // Lists the metadata types that can be indexed, keeping the chosen ones
+            function populateIndexTypesSelect() {
+                const indexTypesSelect = document.getElementById('indexTypesSelect');
+                const chosen = Array.from(indexTypesSelect.selectedOptions).map(option => option.value);
+                indexTypesSelect.innerHTML = '';
+                allMetadataTypes.forEach(type => {
+                    indexTypesSelect.add(new Option(type.label, type.name, false, chosen.includes(type.name)));
+                });
+            }
+            
+            // Asks the extension to list the components of the chosen metadata types, or of all types
+            function buildComponentIndex() {
+                const chosen = Array.from(document.getElementById('indexTypesSelect').selectedOptions).map(option => option.value);
+                const metadataTypes = chosen.length > 0 ? chosen : allMetadataTypes.map(type => type.name);
+                if (metadataTypes.length === 0) {
+                    return;
+                }
                 
-                if (records.length === 0) {
-                    resolve([]);
+                indexBuildId++;
+                indexBuilding = true;
+                componentIndex = [];
+                indexErrors = [];
+                selectedSearchResults.clear();
+                document.getElementById('indexProgress').textContent = 'Indexing 0 of ' + metadataTypes.length + ' types...';
+                document.getElementById('indexProgress').title = '';
+                renderSearchResults();
+                
+                vscode.postMessage({
+                    command: 'buildComponentIndex',
+                    metadataTypes: metadataTypes,
+                    buildId: indexBuildId
+                });
+            }
+            
+            // Forgets the index, e.g. when the org changes; responses of the old build are ignored
+            function resetComponentIndex() {
+                indexBuildId++;
+                indexBuilding = false;
+                componentIndex = [];
+                indexErrors = [];
+                selectedSearchResults.clear();
+                document.getElementById('indexProgress').textContent = '';
+                document.getElementById('indexProgress').title = '';
+                renderSearchResults();
+            }
+            
+            function searchResultKey(comp) {
+                return comp.type + '|' + comp.apiName;
+            }
+            
+            // Lists the indexed components matching any of the comma-separated search terms
+            function renderSearchResults() {
+                const results = document.getElementById('globalSearchResults');
+                const searchTerms = document.getElementById('globalSearchInput').value
+                    .split(',').map(term => term.trim().toLowerCase()).filter(term => term.length > 0);
+                
+                if (searchTerms.length === 0) {
+                    results.innerHTML = '<div style="padding: 12px 16px; color: var(--mm-muted); font-style: italic;"></div>';
+                    results.firstChild.textContent = componentIndex.length > 0
+                        ? 'Type to search ' + componentIndex.length + ' indexed components'
+                        : 'No components indexed yet';
+                    document.getElementById('addSearchResultsBtn').style.display = 'none';
                     return;
                 }
                 
-                // Get current user ID to filter records
-                const currentUserId = await getCurrentUserInfo();
-                console.log('Current user ID:', currentUserId);
+                const hideInstalled = document.getElementById('hideInstalledInput').checked;
+                const matches = componentIndex
+                    .filter(comp => searchTerms.some(term => comp.apiName.toLowerCase().includes(term)))
+                    .filter(comp => !isSelected(comp.type, comp.apiName) && !(hideInstalled && isInstalledComponent(comp)))
+                    .sort((a, b) => a.apiName.localeCompare(b.apiName) || a.type.localeCompare(b.type));
                 
-                // Filter out records where FolderId is a user ID that is not the current user
-                records = records.filter(record => {
-                    // If FolderId is not a user ID (doesn't start with '005'), keep the record
-                    if (!record.FolderId || !record.FolderId.startsWith('005')) {
-                        return true;
+                if (matches.length === 0) {
+                    results.innerHTML = '<div style="padding: 12px 16px; color: var(--mm-muted); font-style: italic;">No matching components</div>';
+                    document.getElementById('addSearchResultsBtn').style.display = selectedSearchResults.size > 0 ? 'block' : 'none';
+                    return;
+                }
+                
+                results.innerHTML = '<table><tbody></tbody></table>';
+                const tbody = results.querySelector('tbody');
+                matches.slice(0, GLOBAL_SEARCH_LIMIT).forEach(comp => {
+                    const key = searchResultKey(comp);
+                    const row = tbody.insertRow();
+                    row.innerHTML = \`
+                        <td style="width: 2%;"><input type="checkbox" \${selectedSearchResults.has(key) ? 'checked' : ''} style="margin: 0; vertical-align: middle;"></td>
+                        <td>\${comp.apiName}\${comp.namespacePrefix ? '<span class="namespace-badge" title="Namespace ' + comp.namespacePrefix + '">' + comp.namespacePrefix + '</span>' : ''}</td>
+                        <td style="text-align: left; color: var(--mm-muted);">\${getTypeLabel(comp.type)}</td>
+                    \`;
+                    row.querySelector('input').addEventListener('change', function() {
+                        if (this.checked) {
+                            selectedSearchResults.add(key);
+                        } else {
+                            selectedSearchResults.delete(key);
+                        }
+                        document.getElementById('addSearchResultsBtn').style.display = selectedSearchResults.size > 0 ? 'block' : 'none';
+                    });
+                });
+                if (matches.length > GLOBAL_SEARCH_LIMIT) {
+                    const note = document.createElement('div');
+                    note.style.cssText = 'padding: 8px 16px; color: var(--mm-muted); font-style: italic;';
+                    note.textContent = 'Showing the first ' + GLOBAL_SEARCH_LIMIT + ' of ' + matches.length + ' matches. Refine the search to see more.';
+                    results.appendChild(note);
+                }
+                document.getElementById('addSearchResultsBtn').style.display = selectedSearchResults.size > 0 ? 'block' : 'none';
+            }
+            
+            // Adds the ticked search results, which can be of different metadata types
+            function addSearchResults() {
+                const added = [];
+                componentIndex.forEach(comp => {
+                    if (selectedSearchResults.has(searchResultKey(comp)) && !isSelected(comp.type, comp.apiName)) {
+                        selectedComponents.push({
+                            name: comp.name,
+                            apiName: comp.apiName,
+                            type: comp.type
+                        });
+                        added.push(comp);
                     }
-                    
-                    // If FolderId is a user ID, check if it's the current user
-                    return record.FolderId === currentUserId;
                 });
+                selectedSearchResults.clear();
+                if (added.length === 0) {
+                    return;
+                }
                 
-                console.log('Records after filtering:', records.length);
+                updateTable();
+                removeSelectedFromAvailable(added);
+                renderSearchResults();
+            }
+            
+            function openOrgCompare() {
+                document.getElementById('orgCompareSection').style.display = 'block';
+                populateCompareOrgSelect();
+                populateCompareTypesSelect();
+                renderOrgDifferences();
+            }
+            
+            // Offers every authenticated org except the selected one, keeping the current choice
+            function populateCompareOrgSelect() {
+                const compareOrgSelect = document.getElementById('compareOrgSelect');
+                const current = compareOrgSelect.value;
+                compareOrgSelect.innerHTML = '';
+                Array.from(document.getElementById('orgSelect').options)
+                    .filter(option => option.value !== currentTargetOrg)
+                    .forEach(option => {
+                        compareOrgSelect.add(new Option(option.textContent, option.value));
+                    });
+                if (Array.from(compareOrgSelect.options).some(option => option.value === current)) {
+                    compareOrgSelect.value = current;
+                }
+                document.getElementById('compareOrgsBtn').disabled = compareOrgSelect.options.length === 0;
+            }
+            
+            function populateCompareTypesSelect() {
+                const compareTypesSelect = document.getElementById('compareTypesSelect');
+                const chosen = Array.from(compareTypesSelect.selectedOptions).map(option => option.value);
+                compareTypesSelect.innerHTML = '';
+                allMetadataTypes.forEach(type => {
+                    compareTypesSelect.add(new Option(type.label, type.name, false, chosen.includes(type.name)));
+                });
+            }
+            
+            // Asks the extension to list the chosen metadata types in the selected org and the org to compare with
+            function compareOrgs() {
+                const compareOrgSelect = document.getElementById('compareOrgSelect');
+                const metadataTypes = Array.from(document.getElementById('compareTypesSelect').selectedOptions).map(option => option.value);
+                if (compareOrgSelect.options.length === 0) {
+                    return;
+                }
+                if (metadataTypes.length === 0) {
+                    document.getElementById('orgCompareProgress').textContent = 'Choose the metadata types to compare';
+                    return;
+                }
                 
-                // Collect folder IDs and separate org IDs from actual folder IDs
-                const allFolderIds = [...new Set(records.map(r => r.FolderId).filter(id => id))];
-                const orgIds = allFolderIds.filter(id => id.startsWith('00D'));
-                const actualFolderIds = allFolderIds.filter(id => !id.startsWith('00D'));
-                console.log('All Folder IDs:', allFolderIds);
-                console.log('Org IDs:', orgIds);
-                console.log('Actual Folder IDs:', actualFolderIds);
+                orgCompareId++;
+                orgDifferences = [];
+                orgCompareErrors = [];
+                selectedDifferences.clear();
+                compareOrgLabels = {
+                    target: document.getElementById('orgSelect').selectedOptions[0]?.textContent || 'Default org',
+                    other: compareOrgSelect.selectedOptions[0].textContent
+                };
+                document.getElementById('orgCompareProgress').textContent = 'Comparing 0 of ' + metadataTypes.length + ' types...';
+                renderOrgDifferences();
                 
-                // Create folder map with org IDs as unfiled$public
-                const folderMap = {};
-                orgIds.forEach(orgId => {
-                    folderMap[orgId] = 'unfiled$public';
+                vscode.postMessage({
+                    command: 'compareOrgs',
+                    metadataTypes: metadataTypes,
+                    otherOrg: compareOrgSelect.value,
+                    compareId: orgCompareId
                 });
+            }
+            
+            // Forgets the comparison when the selected org changes; responses of the old one are ignored
+            function resetOrgCompare() {
+                orgCompareId++;
+                orgDifferences = [];
+                orgCompareErrors = [];
+                selectedDifferences.clear();
+                document.getElementById('orgCompareProgress').textContent = '';
+                renderOrgDifferences();
+            }
+            
+            // Lists the members that differ between the orgs, except those already selected
+            function renderOrgDifferences() {
+                const results = document.getElementById('orgCompareResults');
+                const differences = orgDifferences
+                    .filter(comp => !isSelected(comp.type, comp.apiName))
+                    .sort((a, b) => a.type.localeCompare(b.type) || a.apiName.localeCompare(b.apiName));
                 
-                if (actualFolderIds.length === 0) {
-                    console.log('No actual folder IDs found, using org mapping only');
-                    // Create components with org folder mapping
-                    const components = records.map(record => {
-                        const folderPath = folderMap[record.FolderId] || '';
-                        const fullPath = folderPath ? `${folderPath}/${record.DeveloperName}` : record.DeveloperName;
-                        console.log(`Component: ${record.DeveloperName}, FolderId: ${record.FolderId}, FolderPath: ${folderPath}, FullPath: ${fullPath}`);
-                        
-                        return {
-                            name: fullPath,
-                            apiName: fullPath,
-                            folderId: record.FolderId,
-                            folderPath: folderPath
-                        };
-                    }).sort((a, b) => a.name.localeCompare(b.name));
-                    
-                    resolve(components);
+                if (differences.length === 0) {
+                    results.innerHTML = '<div style="padding: 12px 16px; color: var(--mm-muted); font-style: italic;"></div>';
+                    results.firstChild.textContent = orgCompareId > 0 ? 'No differences found' : 'Choose an org and the metadata types to compare';
+                    document.getElementById('addDifferencesBtn').style.display = 'none';
                     return;
                 }
                 
-                // Query actual folders
-                const folderSoql = `SELECT DeveloperName, Id, ParentId FROM Folder WHERE Id IN ('${actualFolderIds.join("','")}')`;
-                console.log('Querying folders:', folderSoql);
+                const labels = {
+                    'target-only': { text: 'Only in ' + compareOrgLabels.target, color: 'var(--mm-success)' },
+                    'other-only': { text: 'Only in ' + compareOrgLabels.other, color: 'var(--mm-error)' },
+                    'modified': { text: 'Modified at different times', color: 'var(--mm-warning)' }
+                };
+                results.innerHTML = \`
+                    <table>
+                        <thead>
+                            <tr>
+                                <th style="width: 2%;"><input type="checkbox" id="selectAllDifferencesInput" title="Select all differences" style="margin: 0; vertical-align: middle;"></th>
+                                <th>Name</th>
+                                <th>Type</th>
+                                <th>Difference</th>
+                                <th></th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                \`;
+                const headers = results.querySelectorAll('th');
+                headers[4].textContent = compareOrgLabels.target;
+                headers[5].textContent = compareOrgLabels.other;
                 
-                exec(`sf data query --query "${folderSoql}" --json`, { maxBuffer: 1024 * 1024 * 50 }, (folderError, folderStdout, folderStderr) => {
-                    if (folderError) {
-                        console.log('Error querying folders:', folderError.message);
-                        resolve([]);
-                        return;
-                    }
-                    
-                    try {
-                        const folderResult = JSON.parse(folderStdout);
-                        const folders = folderResult.result.records || [];
-                        console.log('Found folders:', folders.length);
-                        console.log('Sample folder:', folders[0]);
-                        
-                        // Build folder hierarchy map for actual folders
-                        const actualFolderMap = buildFolderHierarchy(folders);
-                        
-                        // Merge with org folder map
-                        Object.assign(folderMap, actualFolderMap);
-                        console.log('Combined folder map:', folderMap);
-                        
-                        // Create components with folder paths
-                        const components = records.map(record => {
-                            const folderPath = folderMap[record.FolderId] || '';
-                            const fullPath = folderPath ? `${folderPath}/${record.DeveloperName}` : record.DeveloperName;
-                            console.log(`Component: ${record.DeveloperName}, FolderId: ${record.FolderId}, FolderPath: ${folderPath}, FullPath: ${fullPath}`);
-                            
-                            return {
-                                name: fullPath,
-                                apiName: fullPath,
-                                folderId: record.FolderId,
-                                folderPath: folderPath
-                            };
-                        }).sort((a, b) => a.name.localeCompare(b.name));
-                        
-                        resolve(components);
-                    } catch (e) {
-                        console.log('Error parsing folder result:', e.message);
-                        resolve([]);
+                const tbody = results.querySelector('tbody');
+                differences.forEach(comp => {
+                    const key = searchResultKey(comp);
+                    const label = labels[comp.difference];
+                    const row = tbody.insertRow();
+                    row.innerHTML = \`
+                        <td style="width: 2%;"><input type="checkbox" \${selectedDifferences.has(key) ? 'checked' : ''} style="margin: 0; vertical-align: middle;"></td>
+                        <td>\${comp.apiName}</td>
+                        <td style="color: var(--mm-muted);">\${getTypeLabel(comp.type)}</td>
+                        <td style="color: \${label.color}; font-weight: 600;">\${label.text}</td>
+                        <td style="white-space: nowrap;">\${formatModifiedDate(comp.lastModifiedDate)}</td>
+                        <td style="white-space: nowrap;">\${formatModifiedDate(comp.otherLastModifiedDate)}</td>
+                    \`;
+                    row.querySelector('input').addEventListener('change', function() {
+                        if (this.checked) {
+                            selectedDifferences.add(key);
+                        } else {
+                            selectedDifferences.delete(key);
+                        }
+                        document.getElementById('addDifferencesBtn').style.display = selectedDifferences.size > 0 ? 'block' : 'none';
+                    });
+                });
+                document.getElementById('selectAllDifferencesInput').addEventListener('change', function() {
+                    const checked = this.checked;
+                    tbody.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                        if (checkbox.checked !== checked) {
+                            checkbox.checked = checked;
+                            checkbox.dispatchEvent(new Event('change'));
+                        }
+                    });
+                });
+                document.getElementById('addDifferencesBtn').style.display = selectedDifferences.size > 0 ? 'block' : 'none';
+            }
+            
+            // Adds the ticked differences, which can be of different metadata types
+            function addOrgDifferences() {
+                const added = [];
+                orgDifferences.forEach(comp => {
+                    if (selectedDifferences.has(searchResultKey(comp)) && !isSelected(comp.type, comp.apiName)) {
+                        selectedComponents.push({
+                            name: comp.name,
+                            apiName: comp.apiName,
+                            type: comp.type
+                        });
+                        added.push(comp);
                     }
                 });
-            } catch (e) {
-                console.log('Error parsing main result:', e.message);
-                resolve([]);
+                selectedDifferences.clear();
+                if (added.length === 0) {
+                    return;
+                }
+                
+                updateTable();
+                removeSelectedFromAvailable(added);
+                renderOrgDifferences();
             }
-        });
-    });
-}
-
-function buildFolderHierarchy(folders) {
-    const folderMap = {};
-    const folderById = {};
-    
-    // Create lookup map
-    folders.forEach(folder => {
-        folderById[folder.Id] = folder;
-    });
-    
-    // Build hierarchy paths
-    function getPath(folderId, visited = new Set()) {
-        if (!folderId || visited.has(folderId)) return '';
-        
-        const folder = folderById[folderId];
-        if (!folder) return '';
-        
-        visited.add(folderId);
-        
-        if (!folder.ParentId) {
-            return folder.DeveloperName;
-        }
-        
-        const parentPath = getPath(folder.ParentId, visited);
-        return parentPath ? `${parentPath}/${folder.DeveloperName}` : folder.DeveloperName;
-    }
-    
-    folders.forEach(folder => {
-        folderMap[folder.Id] = getPath(folder.Id);
-    });
-    
-    return folderMap;
-}
-
-async function getMetadataTypesFromSalesforce() {
-    const apiVersion = await getLatestApiVersion();
-    return new Promise((resolve, reject) => {
-        exec(`sf org list metadata-types --api-version ${apiVersion} --json`, { maxBuffer: 1024 * 1024 * 50 }, (error, stdout, stderr) => {
-            if (error) {
-                reject(`ERROR: ${error.message}`);
-                return;
+            
+            // Shows the object-first picker, loading the object names the first time
+            function openObjectPicker() {
+                document.getElementById('objectPickerSection').style.display = 'block';
+                if (!objectsRequested) {
+                    objectsRequested = true;
+                    document.getElementById('objectPickerProgress').textContent = 'Loading objects...';
+                    vscode.postMessage({ command: 'getObjects' });
+                }
+                renderObjectComponents();
+            }
+            
+            function populateObjectSelect(objects) {
+                const objectSelect = document.getElementById('objectSelect');
+                objectSelect.innerHTML = '';
+                objectSelect.add(new Option('Select an object', ''));
+                objects.forEach(objectName => {
+                    objectSelect.add(new Option(objectName, objectName));
+                });
+            }
+            
+            // Asks the extension for the children of the chosen object
+            function onObjectSelect(objectName) {
+                objectPickerId++;
+                objectComponents = [];
+                objectComponentErrors = [];
+                selectedObjectComponents.clear();
+                document.getElementById('wholeObjectInput').checked = false;
+                document.getElementById('objectPickerProgress').textContent = objectName ? 'Loading components of ' + objectName + '...' : '';
+                renderObjectComponents();
+                if (!objectName) {
+                    return;
+                }
+                
+                vscode.postMessage({
+                    command: 'getObjectComponents',
+                    objectName: objectName,
+                    requestId: objectPickerId
+                });
+            }
+            
+            // Forgets the objects when the selected org changes; responses for the old one are ignored
+            function resetObjectPicker() {
+                objectsRequested = false;
+                populateObjectSelect([]);
+                onObjectSelect('');
+                if (document.getElementById('objectPickerSection').style.display === 'block') {
+                    openObjectPicker();
+                }
+            }
+            
+            // Lists the children of the object by type, except those already selected
+            function renderObjectComponents() {
+                const container = document.getElementById('objectComponents');
+                const objectName = document.getElementById('objectSelect').value;
+                const wholeObjectInput = document.getElementById('wholeObjectInput');
+                const wholeObjectSelected = !!objectName && isSelected('CustomObject', objectName);
+                wholeObjectInput.disabled = !objectName || wholeObjectSelected;
+                wholeObjectInput.checked = wholeObjectInput.checked || wholeObjectSelected;
+                
+                const available = objectComponents.filter(comp => !isSelected(comp.type, comp.apiName));
+                container.innerHTML = '';
+                if (available.length === 0) {
+                    container.innerHTML = '<div style="padding: 12px 16px; color: var(--mm-muted); font-style: italic;"></div>';
+                    container.firstChild.textContent = objectName
+                        ? (objectComponents.length > 0 ? 'All components of ' + objectName + ' are selected' : 'No components listed yet')
+                        : 'Choose an object to list its fields, record types, validation rules and other components';
+                } else {
+                    const table = document.createElement('table');
+                    const tbody = table.createTBody();
+                    let currentType = null;
+                    available.forEach(comp => {
+                        if (comp.type !== currentType) {
+                            currentType = comp.type;
+                            const typeCount = available.filter(other => other.type === comp.type).length;
+                            const header = tbody.insertRow();
+                            header.innerHTML = '<td colspan="2" style="font-weight: 600; background: var(--mm-header);"></td>';
+                            header.cells[0].textContent = getTypeLabel(comp.type) + ' (' + typeCount + ')';
+                        }
+                        
+                        const key = searchResultKey(comp);
+                        const row = tbody.insertRow();
+                        row.innerHTML = \`
+                            <td style="width: 2%;"><input type="checkbox" \${selectedObjectComponents.has(key) ? 'checked' : ''} style="margin: 0; vertical-align: middle;"></td>
+                            <td></td>
+                        \`;
+                        row.cells[1].textContent = comp.apiName.substring(objectName.length + 1);
+                        row.cells[1].title = comp.apiName;
+                        row.querySelector('input').addEventListener('change', function() {
+                            if (this.checked) {
+                                selectedObjectComponents.add(key);
+                            } else {
+                                selectedObjectComponents.delete(key);
+                            }
+                            updateAddObjectComponentsBtn();
+                        });
+                    });
+                    container.appendChild(table);
+                }
+                updateAddObjectComponentsBtn();
+            }
+            
+            function updateAddObjectComponentsBtn() {
+                const wholeObjectInput = document.getElementById('wholeObjectInput');
+                const addWholeObject = wholeObjectInput.checked && !wholeObjectInput.disabled;
+                document.getElementById('addObjectComponentsBtn').style.display = addWholeObject || selectedObjectComponents.size > 0 ? 'block' : 'none';
             }
             
-            try {
-                const result = JSON.parse(stdout);
-                
-                if (result.status === 1) {
-                    reject(`ERROR: ${result.message || 'Command failed'}`);
-                    return;
+            // Adds the ticked children and, with Whole object, the object itself
+            function addObjectComponents() {
+                const objectName = document.getElementById('objectSelect').value;
+                const wholeObjectInput = document.getElementById('wholeObjectInput');
+                const added = [];
+                if (objectName && wholeObjectInput.checked && !isSelected('CustomObject', objectName)) {
+                    added.push({ name: objectName, apiName: objectName, type: 'CustomObject' });
                 }
-                
-                const metadataTypes = [];
-                
-                const convertPascalToLabel = (pascalStr) => {
-                    return pascalStr.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/([A-Z])([A-Z][a-z])/g, '$1 $2').trim();
-                };
-                
-                if (result.result && Array.isArray(result.result.metadataObjects)) {
-                    result.result.metadataObjects.forEach(obj => {
-                        metadataTypes.push({
-                            name: obj.xmlName,
-                            label: convertPascalToLabel(obj.xmlName)
-                        });
-                        
-                        if (obj.childXmlNames && Array.isArray(obj.childXmlNames)) {
-                            obj.childXmlNames.forEach(childName => {
-                                metadataTypes.push({
-                                    name: childName,
-                                    label: convertPascalToLabel(childName)
-                                });
-                            });
-                        }
-                    });
+                objectComponents.forEach(comp => {
+                    if (selectedObjectComponents.has(searchResultKey(comp)) && !isSelected(comp.type, comp.apiName)) {
+                        added.push({ name: comp.name, apiName: comp.apiName, type: comp.type });
+                    }
+                });
+                selectedObjectComponents.clear();
+                if (added.length === 0) {
+                    return;
                 }
                 
-                const uniqueTypes = metadataTypes.filter((type, index, self) => 
-                    index === self.findIndex(t => t.name === type.name)
-                ).sort((a, b) => a.label.localeCompare(b.label));
-                
-                resolve(uniqueTypes);
-            } catch (e) {
-                reject(`ERROR: ${e.message}`);
+                selectedComponents.push(...added);
+                updateTable();
+                removeSelectedFromAvailable(added);
+                renderObjectComponents();
             }
-        });
-    });
-}
-
-function getWebviewContent() {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <title>Salesforce Metadata Manager</title>
-        <style>
-            body { font-family: 'Salesforce Sans', Arial, sans-serif; font-size: 14px; line-height: 1.5; padding: 24px; background: #f3f3f3; color: #181818; }
-            h1 { font-size: 25px; font-weight: 300; color: #003876; margin-bottom: 24px; font-family: 'Aptos', Arial, sans-serif; }
-            .form-group { margin-bottom: 16px; }
-            label { display: block; margin-bottom: 8px; font-weight: 300; font-size: 20px; color: #444444; font-family: 'Aptos', Arial, sans-serif; }
-            select, input { width: 100%; padding: 12px 16px; border: 1px solid #d8dde6; border-radius: 4px; background: white; color: #181818; font-size: 14px; font-family: 'Salesforce Sans', Arial, sans-serif; }
-            input[readonly] { width: calc(100% - 32px); }
-            select:focus, input:focus { outline: none; border-color: #1589ee; box-shadow: 0 0 0 2px rgba(21, 137, 238, 0.1); }
-            select:disabled { background: #f3f3f3; color: #706e6b; }
-            button:disabled { background: #dddbda !important; color: #706e6b; cursor: not-allowed; }
-            button:enabled { background: #1589ee !important; }
-            table { width: 100%; border-collapse: collapse; margin-top: 0px; background: white; border-radius: 4px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-            th, td { padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; }
-            th { background: #e8e8e8; color: #444444; font-weight: 600; font-size: 15px; font-family: 'Aptos', Arial, sans-serif; }
-            td { font-size: 14px; color: #181818; }
-            th:last-child, td:last-child { text-align: center; vertical-align: middle; }
-            .remove-btn { background: #d73a49; color: white; border: none; cursor: pointer; font-size: 10px; height: 20px; width: 20px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; text-decoration: none; }
-            .remove-btn:hover { background: #cb2431; }
-            #selectedComponentTable { border-radius: 4px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-            @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
-            /* Combobox styles */
-            .combobox-container { position: relative; width: 100%; }
-            .combobox-input { width: 100%; padding: 12px 16px; border: 1px solid #d8dde6; border-radius: 4px; background: white; font-size: 14px; font-family: 'Salesforce Sans', Arial, sans-serif; font-style: normal; }
-            .combobox-input.error { color: #dc3545; font-weight: bold; font-style: italic; }
-            .combobox-input.error::placeholder { color: #dc3545; font-weight: bold; font-style: italic; }
-            .combobox-input:focus { outline: none; border-color: #1589ee; box-shadow: 0 0 0 2px rgba(21, 137, 238, 0.1); }
-            .dropdown-list { position: absolute; top: 100%; left: 0; right: 0; background: white; border: 1px solid #d8dde6; border-top: none; border-radius: 0 0 4px 4px; max-height: 200px; overflow-y: auto; z-index: 1000; display: none; }
-            .dropdown-item { padding: 8px 16px; cursor: pointer; }
-            .dropdown-item:hover { background-color: #f3f3f3; }
-            .dropdown-item.selected { background-color: #eef4ff; }
-            .dropdown-item.highlighted { background-color: #eef4ff; }
-            .spinner {
-                border: 2px solid #f3f3f3;
-                border-top: 2px solid #0070d2;
-                border-radius: 50%;
-                width: 16px;
-                height: 16px;
-                animation: spin 1s linear infinite;
-                display: none;
-                margin-left: 10px;
-                vertical-align: middle;
+            
+            // The parent a selected child is retrieved with, e.g. Account for CustomField Account.Site__c when CustomObject Account is selected
+            function getCoveringParent(comp) {
+                const parentType = metadataTypes.find(t => t.name === comp.type)?.parent;
+                const dot = comp.apiName.indexOf('.');
+                if (!parentType || dot === -1) {
+                    return null;
+                }
+                const parentName = comp.apiName.substring(0, dot);
+                return selectedComponents.some(other => other.type === parentType && other.apiName === parentName) ? parentName : null;
             }
-            /* Tooltip styles */
-            .tooltip {
-                position: relative;
-                display: inline-block;
+            
+            // Lists the components a wildcard row resolved to underneath it
+            function showWildcardMembers(index, members) {
+                const parentRow = document.getElementById('selected-row-' + index);
+                if (!parentRow) {
+                    return;
+                }
+                
+                let insertAfter = parentRow;
+                members.forEach(member => {
+                    const row = document.createElement('tr');
+                    row.className = 'wildcard-member-row';
+                    row.innerHTML = \`
+                        <td style="padding-left: 24px; color: var(--mm-muted);">↳ \${escapeHtml(member.name)}</td>
+                        <td></td>
+                        <td style="text-align: left; font-weight: bold; color: \${member.status === 'Success' ? 'var(--mm-success)' : 'var(--mm-error)'};" title="\${escapeHtml(member.errorMessage || '')}">\${member.status}</td>
+                        <td></td>
+                        <td></td>
+                    \`;
+                    insertAfter.after(row);
+                    insertAfter = row;
+                });
             }
             
-            .tooltip .tooltiptext {
-                visibility: hidden;
-                width: 400px;
-                background-color: black;
-                color: #dc3545;
-                text-align: left;
-                border-radius: 4px;
-                padding: 8px 12px;
-                position: absolute;
-                z-index: 1;
-                bottom: 125%;
-                left: 50%;
-                margin-left: -200px;
-                opacity: 0;
-                transition: opacity 0.3s;
-                font-style: italic;
-                font-size: 12px;
-                border: 1px solid #dc3545;
-                box-sizing: border-box;
-                max-width: 90vw;
-                word-wrap: break-word;
-                line-height: 1.4;
+            function clearWildcardMembers() {
+                document.querySelectorAll('.wildcard-member-row').forEach(row => row.remove());
             }
             
-            .tooltip:hover .tooltiptext {
-                visibility: visible;
-                opacity: 1;
+            // Adds a link to the status cell that lists the row's retrieved files underneath it
+            function addRetrievedFilesToggle(statusCell, index) {
+                const count = retrievedFiles[index].length;
+                const toggle = document.createElement('span');
+                toggle.textContent = '▸ ' + count + (count === 1 ? ' file' : ' files');
+                toggle.title = 'Show the retrieved files';
+                toggle.style.cssText = 'margin-left: 8px; font-weight: normal; color: var(--mm-link); cursor: pointer;';
+                toggle.addEventListener('click', function() {
+                    const shown = document.querySelectorAll('.retrieved-file-row[data-index="' + index + '"]').length > 0;
+                    if (shown) {
+                        clearRetrievedFiles(index, true);
+                    } else {
+                        showRetrievedFiles(index);
+                    }
+                    toggle.textContent = (shown ? '▸ ' : '▾ ') + count + (count === 1 ? ' file' : ' files');
+                    toggle.title = shown ? 'Show the retrieved files' : 'Hide the retrieved files';
+                });
+                statusCell.appendChild(toggle);
             }
             
-            .tooltip .tooltiptext::after {
-                content: "";
-                position: absolute;
-                top: 100%;
-                left: 50%;
-                margin-left: -5px;
-                border-width: 5px;
-                border-style: solid;
-                border-color: #dc3545 transparent transparent transparent;
+            // Lists the retrieved files of a row underneath it; a file opens in the editor when clicked
+            function showRetrievedFiles(index) {
+                let insertAfter = document.getElementById('selected-row-' + index);
+                if (!insertAfter) {
+                    return;
+                }
+                
+                retrievedFiles[index].forEach(filePath => {
+                    const row = document.createElement('tr');
+                    row.className = 'retrieved-file-row';
+                    row.dataset.index = index;
+                    row.innerHTML = \`
+                        <td colspan="5" style="padding-left: 24px; font-size: 12px;">
+                            <span class="retrieved-file" title="Open in the editor" style="color: var(--mm-link); cursor: pointer;"></span>
+                            <button class="retrieved-file-reveal" title="Reveal in the Explorer view" style="margin-left: 8px; padding: 2px 8px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 11px;">Reveal in Explorer</button>
+                        </td>
+                    \`;
+                    row.querySelector('.retrieved-file').textContent = '↳ ' + filePath;
+                    row.querySelector('.retrieved-file').addEventListener('click', function() {
+                        vscode.postMessage({ command: 'openRetrievedFile', filePath: filePath });
+                    });
+                    row.querySelector('.retrieved-file-reveal').addEventListener('click', function() {
+                        vscode.postMessage({ command: 'openRetrievedFile', filePath: filePath, reveal: true });
+                    });
+                    insertAfter.after(row);
+                    insertAfter = row;
+                });
             }
             
-            /* Ensure tooltip stays within screen bounds */
-            @media screen and (max-width: 500px) {
-                .tooltip .tooltiptext {
-                    width: 90vw;
-                    margin-left: -45vw;
-                    left: 50%;
+            // Removes the listed files of a row, or of every row, and forgets them unless keep is set
+            function clearRetrievedFiles(index, keep) {
+                const selector = index === undefined ? '.retrieved-file-row' : '.retrieved-file-row[data-index="' + index + '"]';
+                document.querySelectorAll(selector).forEach(row => row.remove());
+                if (keep) {
+                    return;
+                }
+                if (index === undefined) {
+                    retrievedFiles = {};
+                } else {
+                    delete retrievedFiles[index];
                 }
             }
-        </style>
-    </head>
-    <body>
-        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px;">
-            <h1 style="margin: 0;">Salesforce Metadata Manager</h1>
-            <div style="display: flex; flex-direction: column; align-items: center;">
-                <button id="retrieveBtn" disabled style="padding: 12px 24px; background: #1589ee; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 14px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: flex; align-items: center;">
-                    <span>Retrieve Components</span>
-                    <div id="retrieveSpinner" class="spinner" style="margin-left: 10px;"></div>
-                </button>
-            </div>
-        </div>
-        
-        <div class="form-group">
-            <div>
-                <label>Metadata Type</label>
-            </div>
-            <div class="combobox-container">
-                <input id="metadataTypeInput" class="combobox-input" type="text" placeholder="Select metadata type" style="width: calc(100% - 32px); padding: 12px 16px; border: 1px solid #d8dde6; border-radius: 4px; background: white; color: #181818; font-size: 14px; font-family: 'Salesforce Sans', Arial, sans-serif; font-style: italic;">
-                <div id="metadataTypeSpinner" class="spinner" style="position: absolute; right: 16px; top: 35%; transform: translateY(-50%);"></div>
-                <div id="metadataTypeDropdown" class="dropdown-list"></div>
-            </div>
-        </div>
-
-        <div class="form-group">
-            <div style="display: flex; justify-content: space-between; align-items: center;">
-                <label>Available Components</label>
-                <button id="addComponentBtn" style="padding: 6px 12px; background: #1589ee; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600; font-family: 'Salesforce Sans', Arial, sans-serif; display: none;">Add</button>
-            </div>
-            <div id="componentDiv" style="border-radius: 4px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); background: white; min-height: 100px;">
-                <div id="noComponentsMessage" style="padding: 20px; text-align: center; color: #706e6b; font-style: italic; display: flex; align-items: center; justify-content: center; height: 100px;">No components available</div>
-                <div id="loadingComponentsMessage" style="padding: 20px; text-align: center; color: #706e6b; font-style: italic; display: none; flex-direction: column; align-items: center; justify-content: center; height: 100px;">
-                    <span id="loadingComponentsText"></span>
-                    <div class="spinner" style="margin-top: 10px; display: inline-block;"></div>
-                </div>
-            </div>
-            <div id="searchComponentContainer" style="display: none; padding: 0; margin-bottom: 1px;">
-                <input type="text" id="searchComponentInput" placeholder="Search components..." style="width: calc(100% - 32px); padding: 12px 16px; border: 1px solid #d8dde6; border-radius: 4px; background: white; color: #181818; font-size: 14px; font-family: 'Salesforce Sans', Arial, sans-serif; font-style: italic;">
-            </div>
-            <div id="componentTableContainer" style="display: none; border-radius: 4px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); background: white; max-height: 192px; overflow-y: auto;">
-                <table id="availableComponentTable" style="width: 100%; border-collapse: collapse; margin-top: 0px; background: white; border-radius: 4px;">
-                    <tbody id="componentTableBody">
-                    </tbody>
-                </table>
-            </div>
-        </div>
-        
-        <div class="form-group" style="margin-bottom: 5px;">
-            <label>Selected Components</label>
-        </div>
-        <div id="selectedComponentTable">
-            <div style="padding: 20px; text-align: center; color: #706e6b; font-style: italic;">No selected components</div>
-        </div>
-
-
-        <div id="resultSection" style="display: none; margin-top: 20px;">
-            <div class="form-group">
-                <label>Error Information</label>
-                <div id="errorMessage" style="color: #dc3545; background: #f3f3f3; border: 1px solid #d8dde6; border-radius: 4px; padding: 12px 16px; width: calc(100% - 32px); min-height: 20px; line-height: 1.4;"></div>
-            </div>
-        </div>
-
-        <script>
-            const vscode = acquireVsCodeApi();
-            let metadataTypes = [];
-            let selectedComponents = [];
             
-
-            function removeComponent(index) {
-                const removedComponent = selectedComponents.splice(index, 1)[0];
+            // Replaces the selected components of the current type with a single '*' member, or removes it again
+            function onWildcardToggle(checked) {
+                const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
+                if (!metadataType || !supportsWildcard(metadataType)) {
+                    return;
+                }
+                
                 document.getElementById('resultSection').style.display = 'none';
-                updateTable();
                 
-                // Check if the metadata type of the removed component matches the currently selected metadata type
-                const metadataTypeInput = document.getElementById('metadataTypeInput');
-                const currentMetadataType = metadataTypeInput.dataset.selectedType || '';
+                if (!checked) {
+                    selectedComponents = selectedComponents.filter(comp => !(comp.type === metadataType && comp.apiName === '*'));
+                    updateTable();
+                    // Reload so the components covered by the wildcard become available again
+                    onMetadataTypeSelect(metadataType);
+                    return;
+                }
                 
-                if (removedComponent && removedComponent.type === currentMetadataType) {
-                    // Add the removed component back to allComponents and sort
-                    // Create a component object with the same structure as the ones from Salesforce
-                    const componentToAdd = {
-                        name: removedComponent.name || removedComponent.apiName,
-                        apiName: removedComponent.apiName
-                    };
-                    
-                    // Add to allComponents if it's not already there
-                    if (!allComponents.some(comp => comp.apiName === componentToAdd.apiName)) {
-                        allComponents.push(componentToAdd);
-                        // Sort allComponents by name
-                        allComponents.sort((a, b) => a.name.localeCompare(b.name));
-                    }
-                    
-                    // Update the component table if it's visible
-                    if (document.getElementById('componentTableContainer').style.display === 'block') {
-                        // Repopulate component table
-                        const componentTableBody = document.getElementById('componentTableBody');
-                        componentTableBody.innerHTML = '';
-                        
-                        // Sort components by name
-                        const sortedComponents = [...allComponents].sort((a, b) => a.name.localeCompare(b.name));
-                        
-                        sortedComponents.forEach(comp => {
-                            const row = componentTableBody.insertRow();
-                            row.innerHTML = \`
-                                <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; width: 2%;">
-                                    <input type="checkbox" data-api-name="\${comp.apiName}" style="margin: 0; vertical-align: middle;">
-                                </td>
-                                <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; font-size: 14px; color: #181818; width: 98%;">\${comp.name}</td>
-                            \`;
-                        });
-                        
-                        // Add event listeners to checkboxes
-                        const checkboxes = componentTableBody.querySelectorAll('input[type="checkbox"]');
-                        checkboxes.forEach(checkbox => {
-                            checkbox.addEventListener('change', function() {
-                                const apiName = this.dataset.apiName;
-                                if (this.checked) {
-                                    selectedAvailableComponents.add(apiName);
-                                } else {
-                                    selectedAvailableComponents.delete(apiName);
-                                }
-                                
-                                // Show/hide add button based on selection
-                                const addComponentBtn = document.getElementById('addComponentBtn');
-                                if (selectedAvailableComponents.size > 0) {
-                                    addComponentBtn.style.display = 'block';
-                                } else {
-                                    addComponentBtn.style.display = 'none';
-                                }
-                            });
-                        });
-                        
-                        // Hide add button initially
-                        document.getElementById('addComponentBtn').style.display = 'none';
-                        
-                        // Apply any existing search filter
-                        const searchComponentInput = document.getElementById('searchComponentInput');
-                        if (searchComponentInput && searchComponentInput.value) {
-                            filterComponentsBySearch(searchComponentInput.value);
-                        }
-                    } else if (allComponents.length > 0) {
-                        // Show component table with components
-                        document.getElementById('componentDiv').style.display = 'none';
-                        document.getElementById('searchComponentContainer').style.display = 'block';
-                        document.getElementById('componentTableContainer').style.display = 'block';
-                        
-                        // Populate the component table
-                        const componentTableBody = document.getElementById('componentTableBody');
-                        componentTableBody.innerHTML = '';
-                        
-                        // Sort components by name
-                        const sortedComponents = [...allComponents].sort((a, b) => a.name.localeCompare(b.name));
-                        
-                        sortedComponents.forEach(comp => {
-                            const row = componentTableBody.insertRow();
-                            row.innerHTML = \`
-                                <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; width: 2%;">
-                                    <input type="checkbox" data-api-name="\${comp.apiName}" style="margin: 0; vertical-align: middle;">
-                                </td>
-                                <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; font-size: 14px; color: #181818; width: 98%;">\${comp.name}</td>
-                            \`;
-                        });
-                        
-                        // Add event listeners to checkboxes
-                        const checkboxes = componentTableBody.querySelectorAll('input[type="checkbox"]');
-                        checkboxes.forEach(checkbox => {
-                            checkbox.addEventListener('change', function() {
-                                const apiName = this.dataset.apiName;
-                                if (this.checked) {
-                                    selectedAvailableComponents.add(apiName);
-                                } else {
-                                    selectedAvailableComponents.delete(apiName);
-                                }
-                                
-                                // Show/hide add button based on selection
-                                const addComponentBtn = document.getElementById('addComponentBtn');
-                                if (selectedAvailableComponents.size > 0) {
-                                    addComponentBtn.style.display = 'block';
-                                } else {
-                                    addComponentBtn.style.display = 'none';
-                                }
-                            });
-                        });
-                        
-                        // Hide add button initially
-                        document.getElementById('addComponentBtn').style.display = 'none';
-                        
-                        // Apply any existing search filter
-                        const searchComponentInput = document.getElementById('searchComponentInput');
-                        if (searchComponentInput && searchComponentInput.value) {
-                            filterComponentsBySearch(searchComponentInput.value);
-                        }
-                    }
+                // Explicit members covered by the wildcard are replaced by the single wildcard row
+                selectedComponents = selectedComponents.filter(comp => comp.type !== metadataType || !isCoveredByWildcard(metadataType, comp.apiName));
+                selectedComponents.push({
+                    name: '*',
+                    apiName: '*',
+                    type: metadataType
+                });
+                updateTable();
+                
+                allComponents = allComponents.filter(comp => !isCoveredByWildcard(metadataType, comp.apiName));
+                if (allComponents.length === 0) {
+                    const selectedType = metadataTypes.find(t => t.name === metadataType);
+                    const typeName = selectedType ? selectedType.label : metadataType;
+                    document.getElementById('noComponentsMessage').style.display = 'flex';
+                    document.getElementById('noComponentsMessage').innerHTML = '<span style="color: var(--mm-muted); font-style: italic; font-weight: bold;">All components of metadata type ' + typeName + ' are included by the wildcard (*).</span>';
+                    document.getElementById('loadingComponentsMessage').style.display = 'none';
+                    document.getElementById('componentDiv').style.display = 'block';
+                    document.getElementById('searchComponentContainer').style.display = 'none';
+                    document.getElementById('componentTableContainer').style.display = 'none';
+                    document.getElementById('addComponentBtn').style.display = 'none';
+                } else if (document.getElementById('componentTableContainer').style.display === 'block') {
+                    renderComponentTable();
+                }
+            }
+            
+            // Marks a selected component for deletion in destructiveChanges.xml ('pre') or destructiveChangesPost.xml ('post')
+            function setDestructive(index, destructive) {
+                selectedComponents[index].destructive = destructive || undefined;
+                document.getElementById('resultSection').style.display = 'none';
+                updateTable();
+            }
+            
+            function generateDestructiveChanges() {
+                if (!selectedComponents.some(comp => comp.destructive)) {
+                    return;
                 }
+                
+                vscode.postMessage({
+                    command: 'generateDestructive',
+                    components: selectedComponents
+                });
             }
 
-            function updateTable() {
-                const tableContainer = document.getElementById('selectedComponentTable');
-                const retrieveBtn = document.getElementById('retrieveBtn');
-                
-                retrieveBtn.disabled = selectedComponents.length === 0;
-                
-                if (selectedComponents.length === 0) {
-                    retrieveBtn.style.background = '#dddbda';
-                } else {
-                    retrieveBtn.style.background = '#1589ee';
+            // Keeps one visible row of a table in the tab order, so Tab enters the table and the arrow keys move inside it
+            function updateGridTabStop(tbody) {
+                const rows = Array.from(tbody.rows).filter(row => row.hasAttribute('tabindex'));
+                const visibleRows = rows.filter(row => row.style.display !== 'none');
+                if (visibleRows.some(row => row.tabIndex === 0)) {
+                    return;
                 }
-                
-                if (selectedComponents.length === 0) {
-                    tableContainer.innerHTML = '<div style="padding: 20px; text-align: center; color: #706e6b; font-style: italic;">No selected components</div>';
-                    document.getElementById('resultSection').style.display = 'none';
+                rows.forEach(row => {
+                    row.tabIndex = -1;
+                });
+                if (visibleRows.length > 0) {
+                    visibleRows[0].tabIndex = 0;
+                }
+            }
+            
+            // Arrow keys, Home and End move between the visible rows of the component tables; Space ticks the row's
+            // checkbox and Delete removes a selected component. Keys typed into a row's controls keep their usual meaning
+            function handleGridKeydown(event) {
+                const row = event.target;
+                if (row.tagName !== 'TR' || !row.hasAttribute('tabindex')) {
                     return;
                 }
-                
-                if (!tableContainer.querySelector('table')) {
-                    tableContainer.innerHTML = \`
-                        <table>
-                            <thead>
-                                <tr>
-                                    <th>Component API Name</th>
-                                    <th>Metadata Type</th>
-                                    <th>Retrieval Status</th>
-                                    <th>Action</th>
-                                </tr>
-                            </thead>
-                            <tbody id="selectedComponents">
-                            </tbody>
-                        </table>
-                    \`;
+                const rows = Array.from(row.parentElement.rows).filter(other => other.hasAttribute('tabindex') && other.style.display !== 'none');
+                const index = rows.indexOf(row);
+                let target = null;
+                switch (event.key) {
+                    case 'ArrowDown':
+                        target = rows[index + 1];
+                        break;
+                    case 'ArrowUp':
+                        target = rows[index - 1];
+                        break;
+                    case 'Home':
+                        target = rows[0];
+                        break;
+                    case 'End':
+                        target = rows[rows.length - 1];
+                        break;
+                    case ' ': {
+                        const checkbox = row.querySelector('input[type="checkbox"]');
+                        if (checkbox) {
+                            event.preventDefault();
+                            checkbox.click();
+                        }
+                        return;
+                    }
+                    case 'Delete':
+                    case 'Backspace': {
+                        const removeButton = row.querySelector('.remove-btn');
+                        if (removeButton) {
+                            event.preventDefault();
+                            removeButton.click();
+                            // The table is rebuilt, so focus moves to the row that took the removed one's place
+                            const next = document.getElementById('selected-row-' + Math.min(index, selectedComponents.length - 1));
+                            if (next) {
+                                next.tabIndex = 0;
+                                next.focus();
+                            }
+                            announce('Removed, ' + selectedComponents.length + (selectedComponents.length === 1 ? ' component' : ' components') + ' left');
+                        }
+                        return;
+                    }
+                    default:
+                        return;
                 }
+                event.preventDefault();
+                if (target) {
+                    row.tabIndex = -1;
+                    target.tabIndex = 0;
+                    target.focus();
+                }
+            }
+            
+            // Reads a message out through the live region; cleared first so a repeated message is read again
+            function announce(text) {
+                const announcer = document.getElementById('announcer');
+                announcer.textContent = '';
+                setTimeout(function() {
+                    announcer.textContent = text;
+                }, 50);
+            }
+            
+            // Renders allComponents into the available components table
+            function renderComponentTable() {
+                const componentTableHead = document.getElementById('componentTableHead');
+                const componentTableBody = document.getElementById('componentTableBody');
+                componentTableBody.innerHTML = '';
+                selectedAvailableComponents.clear();
                 
-                const tbody = document.getElementById('selectedComponents');
-                tbody.innerHTML = '';
+                // Sortable column headers, with a checkbox that ticks every visible component
+                componentTableHead.innerHTML = '<tr><th style="width: 2%;"><input type="checkbox" id="selectAllComponentsInput" title="Select all visible components" style="margin: 0; vertical-align: middle;"></th></tr>';
+                COMPONENT_COLUMNS.forEach(column => {
+                    const header = document.createElement('th');
+                    const arrow = componentSort.key === column.key ? (componentSort.ascending ? ' ▲' : ' ▼') : '';
+                    header.textContent = column.label + arrow;
+                    header.title = 'Sort by ' + column.label;
+                    header.tabIndex = 0;
+                    if (componentSort.key === column.key) {
+                        header.setAttribute('aria-sort', componentSort.ascending ? 'ascending' : 'descending');
+                    }
+                    header.addEventListener('click', function() {
+                        sortComponents(column.key);
+                    });
+                    header.addEventListener('keydown', function(event) {
+                        if (event.key === 'Enter' || event.key === ' ') {
+                            event.preventDefault();
+                            sortComponents(column.key);
+                        }
+                    });
+                    componentTableHead.rows[0].appendChild(header);
+                });
+                document.getElementById('selectAllComponentsInput').addEventListener('change', function() {
+                    selectAllVisibleComponents(this.checked);
+                });
                 
-                selectedComponents.forEach((comp, index) => {
-                    const convertPascalToLabel = (pascalStr) => {
-                        return pascalStr.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/([A-Z])([A-Z][a-z])/g, '$1 $2').trim();
-                    };
-                    const typeLabel = metadataTypes.find(t => t.name === comp.type)?.label || convertPascalToLabel(comp.type);
-                    const row = tbody.insertRow();
+                const sortedComponents = [...allComponents].sort((a, b) => {
+                    const order = String(a[componentSort.key] || '').localeCompare(String(b[componentSort.key] || '')) || a.name.localeCompare(b.name);
+                    return componentSort.ascending ? order : -order;
+                });
+                
+                sortedComponents.forEach(comp => {
+                    const row = componentTableBody.insertRow();
+                    row.dataset.apiName = comp.apiName;
+                    row.tabIndex = -1;
+                    row.setAttribute('aria-selected', 'false');
                     row.innerHTML = \`
-                        <td>\${comp.apiName}</td>
-                        <td>\${typeLabel}</td>
-                        <td id="status-\${index}" style="text-align: left; font-weight: bold;">-</td>
-                        <td><span class="remove-btn" onclick="removeComponent(\${index})">🗑️</span></td>
+                        <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid var(--mm-row-border); height: 32px; vertical-align: middle; line-height: 32px; width: 2%;">
+                            <input type="checkbox" data-api-name="\${comp.apiName}" aria-label="Select \${comp.name}" style="margin: 0; vertical-align: middle;">
+                        </td>
+                        <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid var(--mm-row-border); height: 32px; vertical-align: middle; line-height: 32px; color: var(--mm-foreground);">\${comp.name}\${comp.namespacePrefix ? '<span class="namespace-badge" title="Namespace ' + comp.namespacePrefix + '">' + comp.namespacePrefix + '</span>' : ''}</td>
+                        <td style="white-space: nowrap;">\${formatModifiedDate(comp.lastModifiedDate)}</td>
+                        <td>\${comp.lastModifiedByName || ''}</td>
+                        <td>\${comp.createdByName || ''}</td>
+                        <td>\${comp.manageableState || ''}</td>
                     \`;
                 });
+                
+                // Add event listeners to checkboxes
+                const checkboxes = componentTableBody.querySelectorAll('input[type="checkbox"]');
+                checkboxes.forEach(checkbox => {
+                    checkbox.addEventListener('change', function() {
+                        const apiName = this.dataset.apiName;
+                        if (this.checked) {
+                            selectedAvailableComponents.add(apiName);
+                        } else {
+                            selectedAvailableComponents.delete(apiName);
+                        }
+                        this.closest('tr').setAttribute('aria-selected', this.checked ? 'true' : 'false');
+                        
+                        // Show/hide add button based on selection
+                        const addComponentBtn = document.getElementById('addComponentBtn');
+                        if (selectedAvailableComponents.size > 0) {
+                            addComponentBtn.style.display = 'block';
+                        } else {
+                            addComponentBtn.style.display = 'none';
+                        }
+                    });
+                });
+                
+                // Hide add button initially
+                document.getElementById('addComponentBtn').style.display = 'none';
+                
+                populateFilterSelects();
+                
+                // Apply any existing search and filters
+                filterComponents();
+            }
+            
+            function sortComponents(key) {
+                componentSort = {
+                    key: key,
+                    ascending: componentSort.key === key ? !componentSort.ascending : key === 'name'
+                };
+                renderComponentTable();
+            }
+            
+            function selectAllVisibleComponents(checked) {
+                document.querySelectorAll('#componentTableBody tr').forEach(row => {
+                    const checkbox = row.querySelector('input[type="checkbox"]');
+                    if (row.style.display !== 'none' && checkbox.checked !== checked) {
+                        checkbox.checked = checked;
+                        checkbox.dispatchEvent(new Event('change'));
+                    }
+                });
             }
-
+            
+            // Components of standard objects and similar report an empty or 1970 date
+            function formatModifiedDate(value) {
+                const date = value ? new Date(value) : null;
+                return date && date.getTime() > 0 ? date.toLocaleString() : '';
+            }
+            
+            // Offers "Me", everyone who modified a component and every namespace of the current type
+            function populateFilterSelects() {
+                const names = [...new Set(allComponents.map(comp => comp.lastModifiedByName).filter(name => name))].sort();
+                const modifiedByOptions = [{ value: '', label: 'Anyone' }];
+                if (currentUserId) {
+                    modifiedByOptions.push({ value: MODIFIED_BY_ME, label: 'Me' });
+                }
+                populateFilterSelect('modifiedBySelect', modifiedByOptions.concat(names.map(name => ({ value: name, label: name }))));
+                
+                const namespaces = [...new Set(allComponents.map(comp => comp.namespacePrefix).filter(namespace => namespace))].sort();
+                populateFilterSelect('namespaceSelect', [{ value: '', label: 'All' }, { value: NO_NAMESPACE, label: 'No namespace' }]
+                    .concat(namespaces.map(namespace => ({ value: namespace, label: namespace }))));
+            }
+            
+            // Replaces the options of a filter dropdown, keeping the current choice even when no component matches it
+            function populateFilterSelect(selectId, options) {
+                const select = document.getElementById(selectId);
+                const current = select.value;
+                select.innerHTML = '';
+                options.forEach(option => {
+                    select.add(new Option(option.label, option.value));
+                });
+                if (current && !options.some(option => option.value === current)) {
+                    select.add(new Option(current, current));
+                }
+                select.value = current;
+            }
+            
+            // Components of installed managed and unlocked packages; components listed by SOQL have no
+            // manageable state, so a namespace is taken as installed
+            function isInstalledComponent(comp) {
+                if (comp.manageableState) {
+                    return INSTALLED_STATES.includes(comp.manageableState);
+                }
+                return !!comp.namespacePrefix;
+            }
+            
             // Variables for combobox functionality
             let allMetadataTypes = [];
             let filteredMetadataTypes = [];
+            // Dropdown item picked with the arrow keys, -1 for none
+            let highlightedMetadataIndex = -1;
             let allComponents = [];
             let selectedAvailableComponents = new Set();
+            // Sort order of the available components table, and the user the "modified by me" filter matches
+            let componentSort = { key: 'name', ascending: true };
+            let currentUserId = null;
+            
+            const COMPONENT_COLUMNS = [
+                { key: 'name', label: 'Name' },
+                { key: 'lastModifiedDate', label: 'Last Modified' },
+                { key: 'lastModifiedByName', label: 'Last Modified By' },
+                { key: 'createdByName', label: 'Created By' },
+                { key: 'manageableState', label: 'State' }
+            ];
+            const MODIFIED_BY_ME = '__me__';
+            const NO_NAMESPACE = '__none__';
+            const INSTALLED_STATES = ['installed', 'installedEditable', 'deprecated', 'deprecatedEditable'];
+            // Global search index: the components of every indexed metadata type, filled in as each type is listed
+            let componentIndex = [];
+            let indexErrors = [];
+            let indexBuildId = 0;
+            let indexBuilding = false;
+            let selectedSearchResults = new Set();
+            const GLOBAL_SEARCH_LIMIT = 200;
+            // Members that differ between the selected org and the org it is compared with
+            let orgDifferences = [];
+            let orgCompareErrors = [];
+            let orgCompareId = 0;
+            let selectedDifferences = new Set();
+            let compareOrgLabels = { target: '', other: '' };
+            // Object-first picker: the children of the chosen object, across the CustomObject child types
+            let objectsRequested = false;
+            let objectComponents = [];
+            let objectComponentErrors = [];
+            let objectPickerId = 0;
+            let selectedObjectComponents = new Set();
+            // Selection the last retrieve preview was built for, and its result
+            let previewComponents = null;
+            let retrievePreview = [];
+            // Past retrieves, newest first, as sent by the extension
+            let retrieveHistory = [];
+            // Retrieved file paths of the selected rows, by row index
+            let retrievedFiles = {};
+            // Updates the elapsed time of the running retrieve
+            let retrieveTimer = null;
+            
+            const PREVIEW_STATUSES = {
+                'new': { label: 'New', color: 'var(--mm-success)', title: 'Not in the project yet' },
+                'changed': { label: 'Changed', color: 'var(--mm-warning)', title: 'Retrieving overwrites the local files' },
+                'identical': { label: 'Identical', color: 'var(--mm-muted)', title: 'Same as the local files' },
+                'local-only': { label: 'Local only', color: 'var(--mm-link)', title: 'In the project but not returned by the org' },
+                'missing': { label: 'Not found', color: 'var(--mm-error)', title: 'Not returned by the org and not in the project' },
+                'failed': { label: 'Failed', color: 'var(--mm-error)', title: 'The org returned an error' }
+            };
             
             // Function to handle metadata type selection from combobox
-            function onMetadataTypeSelect(metadataType) {
+            function onMetadataTypeSelect(metadataType, refresh) {
                 const metadataTypeInput = document.getElementById('metadataTypeInput');
                 
                 // Store the selected metadata type
@@ -1038,11 +4055,26 @@ function getWebviewContent() {
                     const statusCell = document.getElementById('status-' + index);
                     if (statusCell) {
                         statusCell.textContent = '-';
-                        statusCell.style.color = '#181818'; // Reset color to default
+                        statusCell.style.color = 'var(--mm-foreground)'; // Reset color to default
                         statusCell.style.fontWeight = 'bold';
                         statusCell.style.textAlign = 'left';
                     }
                 });
+                clearWildcardMembers();
+                clearRetrievedFiles();
+                
+                // Show the wildcard toggle for the selected type, disabled where '*' is not supported
+                const wildcardToggle = document.getElementById('wildcardToggle');
+                const wildcardInput = document.getElementById('wildcardInput');
+                wildcardToggle.style.display = metadataType ? 'flex' : 'none';
+                wildcardInput.disabled = !supportsWildcard(metadataType);
+                wildcardInput.checked = hasWildcard(metadataType);
+                wildcardToggle.title = supportsWildcard(metadataType)
+                    ? 'Include every component of this type with <members>*</members>'
+                    : 'This metadata type does not support the wildcard (*)';
+                
+                document.getElementById('refreshComponentsBtn').style.display = metadataType ? 'inline-block' : 'none';
+                showRefreshedAt('componentsRefreshed', null);
                 
                 if (metadataType) {
                     const selectedType = allMetadataTypes.find(t => t.name === metadataType);
@@ -1065,7 +4097,8 @@ function getWebviewContent() {
                     
                     vscode.postMessage({
                         command: 'getComponents',
-                        metadataType: metadataType
+                        metadataType: metadataType,
+                        refresh: !!refresh
                     });
                 } else {
                     // Show no components message
@@ -1105,18 +4138,35 @@ function getWebviewContent() {
                 
                 // Clear dropdown
                 metadataTypeDropdown.innerHTML = '';
+                document.getElementById('metadataTypeInput').removeAttribute('aria-activedescendant');
+                
+                // Child types are listed under their parent; a child whose parent was filtered out names it instead
+                const names = new Set(metadataTypes.map(type => type.name));
+                const grouped = [];
+                metadataTypes.filter(type => !type.parent || !names.has(type.parent)).forEach(type => {
+                    grouped.push(type);
+                    grouped.push(...metadataTypes.filter(child => child.parent === type.name && child.name !== type.name));
+                });
                 
                 // Add options to dropdown
-                metadataTypes.forEach(type => {
+                grouped.forEach((type, index) => {
                     const item = document.createElement('div');
                     item.className = 'dropdown-item';
+                    item.id = 'metadata-type-option-' + index;
+                    item.setAttribute('role', 'option');
+                    item.setAttribute('aria-selected', 'false');
                     item.textContent = type.label;
+                    if (type.parent && names.has(type.parent)) {
+                        item.style.paddingLeft = '32px';
+                    } else if (type.parent) {
+                        item.textContent = type.label + ' (' + getTypeLabel(type.parent) + ')';
+                    }
                     item.dataset.value = type.name;
                     item.addEventListener('click', function() {
                         const metadataTypeInput = document.getElementById('metadataTypeInput');
                         metadataTypeInput.value = type.label;
                         metadataTypeInput.style.fontStyle = 'italic';
-                        metadataTypeInput.style.color = '#181818';
+                        metadataTypeInput.style.color = 'var(--mm-foreground)';
                         document.getElementById('metadataTypeDropdown').style.display = 'none';
                         onMetadataTypeSelect(type.name);
                     });
@@ -1154,50 +4204,63 @@ function getWebviewContent() {
                 }
             }
             
-            // Function to filter components for combobox
-            function filterComponents(searchText) {
-                // This function is no longer needed as we're using a table instead of a combobox
-            }
-            
             // Function to filter components by search text
-            function filterComponentsBySearch(searchText) {
+            // Shows the rows that match the search text and the modified since / modified by filters
+            function filterComponents() {
                 const componentTableBody = document.getElementById('componentTableBody');
                 const rows = componentTableBody.querySelectorAll('tr');
+                const componentsByApiName = new Map(allComponents.map(comp => [comp.apiName, comp]));
                 
                 // Split the search text by comma and trim each part
+                const searchText = document.getElementById('searchComponentInput').value;
                 const searchTerms = searchText.split(',').map(term => term.trim().toLowerCase()).filter(term => term.length > 0);
                 
-                // If no search terms, show all rows
-                if (searchTerms.length === 0) {
-                    rows.forEach(row => {
-                        row.style.display = '';
-                    });
-                    return;
-                }
+                const modifiedSince = document.getElementById('modifiedSinceInput').value;
+                const sinceTime = modifiedSince ? new Date(modifiedSince + 'T00:00:00').getTime() : null;
+                const modifiedBy = document.getElementById('modifiedBySelect').value;
+                const namespace = document.getElementById('namespaceSelect').value;
+                const hideInstalled = document.getElementById('hideInstalledInput').checked;
+                let hiddenInstalled = 0;
+                
+                // Check if any of the search terms match the metadata type
+                const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
+                const selectedType = allMetadataTypes.find(t => t.name === metadataType);
+                const typeLabel = selectedType ? selectedType.label.toLowerCase() : metadataType.toLowerCase();
+                const matchesType = searchTerms.some(term =>
+                    metadataType.toLowerCase().includes(term) ||
+                    typeLabel.includes(term)
+                );
                 
                 rows.forEach(row => {
+                    const comp = componentsByApiName.get(row.dataset.apiName) || {};
                     const componentName = row.cells[1].textContent.toLowerCase();
                     
                     // Check if any of the search terms match the component name
-                    const matchesComponent = searchTerms.some(term => componentName.includes(term));
-                    
-                    // Check if any of the search terms match the metadata type
-                    const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
-                    const selectedType = allMetadataTypes.find(t => t.name === metadataType);
-                    const typeLabel = selectedType ? selectedType.label.toLowerCase() : metadataType.toLowerCase();
-                    const matchesType = searchTerms.some(term =>
-                        metadataType.toLowerCase().includes(term) ||
-                        typeLabel.includes(term)
-                    );
-                    
-                    if (matchesComponent || matchesType) {
-                        row.style.display = '';
-                    } else {
-                        row.style.display = 'none';
+                    const matchesSearch = searchTerms.length === 0 || matchesType || searchTerms.some(term => componentName.includes(term));
+                    const matchesDate = !sinceTime || new Date(comp.lastModifiedDate).getTime() >= sinceTime;
+                    let matchesAuthor = !modifiedBy || comp.lastModifiedByName === modifiedBy;
+                    if (modifiedBy === MODIFIED_BY_ME) {
+                        // Ids are compared in their 15-character form, since the CLI reports both forms
+                        matchesAuthor = !!currentUserId && (comp.lastModifiedById || '').substring(0, 15) === currentUserId.substring(0, 15);
                     }
+                    const matchesNamespace = !namespace || (comp.namespacePrefix || NO_NAMESPACE) === namespace;
+                    const installedHidden = hideInstalled && isInstalledComponent(comp);
+                    if (installedHidden) {
+                        hiddenInstalled++;
+                    }
+                    
+                    row.style.display = matchesSearch && matchesDate && matchesAuthor && matchesNamespace && !installedHidden ? '' : 'none';
                 });
+                
+                document.getElementById('hiddenInstalledCount').textContent = hiddenInstalled > 0 ? '(' + hiddenInstalled + ' hidden)' : '';
+                
+                const selectAllInput = document.getElementById('selectAllComponentsInput');
+                if (selectAllInput) {
+                    selectAllInput.checked = false;
+                }
+                updateGridTabStop(componentTableBody);
             }
-            
+
             // Add event listeners for comboboxes
             document.addEventListener('DOMContentLoaded', function() {
                 const metadataTypeInput = document.getElementById('metadataTypeInput');
@@ -1264,131 +4327,580 @@ function getWebviewContent() {
                     }
                 });
                 
-                // Handle input in the search component textbox
-                searchComponentInput.addEventListener('input', function() {
-                    filterComponentsBySearch(this.value);
+                // Handle input in the search component textbox
+                searchComponentInput.addEventListener('input', filterComponents);
+                document.getElementById('modifiedSinceInput').addEventListener('change', filterComponents);
+                document.getElementById('modifiedBySelect').addEventListener('change', filterComponents);
+                document.getElementById('namespaceSelect').addEventListener('change', filterComponents);
+                document.getElementById('hideInstalledInput').addEventListener('change', function() {
+                    filterComponents();
+                    renderSearchResults();
+                });
+                
+                // Function to update the highlighted metadata item in the dropdown
+                function updateHighlightedMetadataItem(items) {
+                    items.forEach((item, index) => {
+                        if (index === highlightedMetadataIndex) {
+                            item.classList.add('highlighted');
+                        } else {
+                            item.classList.remove('highlighted');
+                        }
+                        item.setAttribute('aria-selected', index === highlightedMetadataIndex ? 'true' : 'false');
+                    });
+                    
+                    // Scroll to the highlighted item if needed
+                    if (highlightedMetadataIndex >= 0 && highlightedMetadataIndex < items.length) {
+                        items[highlightedMetadataIndex].scrollIntoView({block: 'nearest'});
+                        metadataTypeInput.setAttribute('aria-activedescendant', items[highlightedMetadataIndex].id);
+                    }
+                }
+                
+                // The dropdown is shown and hidden in many places, so its state is mirrored to the combobox here
+                new MutationObserver(function() {
+                    metadataTypeInput.setAttribute('aria-expanded', metadataTypeDropdown.style.display === 'block' ? 'true' : 'false');
+                }).observe(metadataTypeDropdown, { attributes: true, attributeFilter: ['style'] });
+                
+                document.getElementById('componentTableBody').addEventListener('keydown', handleGridKeydown);
+                document.getElementById('selectedComponentTable').addEventListener('keydown', handleGridKeydown);
+            });
+            
+            function addComponents() {
+                if (selectedAvailableComponents.size === 0) {
+                    return;
+                }
+                
+                const metadataTypeInput = document.getElementById('metadataTypeInput');
+                const metadataType = metadataTypeInput.dataset.selectedType || '';
+                const selectedType = metadataTypes.find(t => t.name === metadataType);
+                const typeName = selectedType ? selectedType.label : metadataType;
+                
+                // Add selected components to the selected components table
+                selectedAvailableComponents.forEach(apiName => {
+                    const component = allComponents.find(c => c.apiName === apiName);
+                    if (component) {
+                        selectedComponents.push({
+                            name: component.name,
+                            apiName: component.apiName,
+                            type: metadataType
+                        });
+                    }
+                });
+                
+                updateTable();
+                
+                // Remove added components from allComponents
+                allComponents = allComponents.filter(comp => !selectedAvailableComponents.has(comp.apiName));
+                
+                // Clear selected available components
+                selectedAvailableComponents.clear();
+                
+                // Reset search input
+                const searchComponentInput = document.getElementById('searchComponentInput');
+                if (searchComponentInput) {
+                    searchComponentInput.value = '';
+                }
+                
+                // Update component table
+                if (allComponents.length === 0) {
+                    // Show no components message
+                    document.getElementById('noComponentsMessage').style.display = 'flex';
+                    const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
+                    const selectedType = metadataTypes.find(t => t.name === metadataType);
+                    const typeName = selectedType ? selectedType.label : metadataType;
+                    document.getElementById('noComponentsMessage').innerHTML = '<span style="color: var(--mm-error); font-style: italic; font-weight: bold;">No more components to select. All components of metadata type ' + typeName + ' are already selected.</span>';
+                    document.getElementById('componentDiv').style.display = 'block';
+                    document.getElementById('searchComponentContainer').style.display = 'none';
+                    document.getElementById('componentTableContainer').style.display = 'none';
+                    document.getElementById('addComponentBtn').style.display = 'none';
+                } else {
+                    renderComponentTable();
+                }
+            }
+            
+            // Function to populate the manifest selector
+            function populateManifestSelect(manifests, currentManifest) {
+                const manifestSelect = document.getElementById('manifestSelect');
+                manifestSelect.innerHTML = '';
+                
+                manifests.forEach(manifest => {
+                    const option = document.createElement('option');
+                    option.value = manifest;
+                    option.textContent = manifest;
+                    manifestSelect.appendChild(option);
+                });
+                manifestSelect.value = currentManifest;
+            }
+            
+            // Function to switch to another manifest, replacing the selected components with its contents
+            function onManifestChange(manifestPath) {
+                document.getElementById('resultSection').style.display = 'none';
+                
+                vscode.postMessage({
+                    command: 'switchManifest',
+                    manifestPath: manifestPath
+                });
+            }
+            
+            // Function to populate the org selector
+            function populateOrgSelect(orgs) {
+                const orgSelect = document.getElementById('orgSelect');
+                orgSelect.innerHTML = '';
+                
+                if (orgs.length === 0) {
+                    const option = document.createElement('option');
+                    option.value = '';
+                    option.textContent = 'Default org';
+                    orgSelect.appendChild(option);
+                    return;
+                }
+                
+                orgs.forEach(org => {
+                    const option = document.createElement('option');
+                    // The default org is addressed without --target-org so it follows the CLI default
+                    option.value = org.isDefault ? '' : (org.alias || org.username);
+                    option.textContent = (org.alias ? org.alias + ' (' + org.username + ')' : org.username) + (org.isDefault ? ' - default' : '');
+                    orgSelect.appendChild(option);
+                });
+                
+                // Keep the current choice if the org is still authenticated
+                if (![...orgSelect.options].some(option => option.value === currentTargetOrg)) {
+                    const option = document.createElement('option');
+                    option.value = '';
+                    option.textContent = 'Default org';
+                    orgSelect.insertBefore(option, orgSelect.firstChild);
+                }
+                orgSelect.value = currentTargetOrg;
+            }
+            
+            // Function to switch the target org and reload its metadata types
+            function onOrgChange(targetOrg) {
+                currentTargetOrg = targetOrg;
+                
+                // Clear the metadata type input
+                const metadataTypeInput = document.getElementById('metadataTypeInput');
+                metadataTypeInput.value = '';
+                metadataTypeInput.placeholder = 'Loading all metadata types...';
+                metadataTypeInput.classList.remove('error');
+                metadataTypeInput.style.color = 'var(--mm-foreground)';
+                metadataTypeInput.style.fontWeight = 'normal';
+                metadataTypeInput.style.fontStyle = 'italic';
+                metadataTypeInput.dataset.selectedType = '';
+                metadataTypeInput.disabled = true;
+                document.getElementById('metadataTypeSpinner').style.display = 'block';
+                
+                metadataTypes = [];
+                allMetadataTypes = [];
+                showRefreshedAt('metadataTypesRefreshed', null);
+                resetComponentIndex();
+                resetOrgCompare();
+                
+                // Reset available components table and retrieval statuses
+                onMetadataTypeSelect('');
+                
+                vscode.postMessage({
+                    command: 'changeOrg',
+                    targetOrg: targetOrg
+                });
+                // After changeOrg, since an open picker asks for the new org's objects straight away
+                resetObjectPicker();
+            }
+            
+            // Reloads the metadata types from the org, bypassing the cache; the selected type is kept
+            function refreshMetadataTypes() {
+                const metadataTypeInput = document.getElementById('metadataTypeInput');
+                metadataTypeInput.disabled = true;
+                document.getElementById('metadataTypeSpinner').style.display = 'block';
+                
+                vscode.postMessage({
+                    command: 'getMetadataTypes',
+                    refresh: true
+                });
+            }
+            
+            // Reloads the components of the selected type from the org, bypassing the cache
+            function refreshComponents() {
+                const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
+                if (metadataType) {
+                    onMetadataTypeSelect(metadataType, true);
+                }
+            }
+            
+            // Shows when a list was loaded from the org; lists served from the cache keep their original time
+            function showRefreshedAt(elementId, refreshedAt) {
+                const element = document.getElementById(elementId);
+                element.textContent = refreshedAt ? 'Last refreshed ' + new Date(refreshedAt).toLocaleString() : '';
+                element.title = refreshedAt ? 'Click Refresh to reload from the org' : '';
+            }
+            
+            function retrieveComponents() {
+                startRetrieve([]);
+            }
+            
+            // Retrieves the selected components except the rows listed in skipped
+            function startRetrieve(skipped) {
+                if (selectedComponents.length === 0) {
+                    return;
+                }
+                
+                resetComponentSelection();
+                
+                showRetrieveRunning(Date.now());
+                announce('Retrieving ' + selectedComponents.length + (selectedComponents.length === 1 ? ' component' : ' components'));
+                
+                vscode.postMessage({
+                    command: 'createPackage',
+                    components: selectedComponents,
+                    skipped: skipped,
+                    destination: document.getElementById('retrieveDestinationSelect').value
                 });
+            }
+            
+            // Shows the retrieval status of each result's row, with its error message as a tooltip
+            function showRetrievalResults(results) {
+                const failedComponents = [];
+                // Store error messages for each component
+                const componentErrorMessages = {};
+                results.forEach(result => {
+                    const statusCell = document.getElementById(\`status-\${result.index}\`);
+                    if (statusCell) {
+                        statusCell.textContent = result.status;
+                        statusCell.style.color = result.status === 'Success' ? 'var(--mm-success)' : (result.status === 'Skipped' || result.status === 'Cancelled' ? 'var(--mm-muted)' : (result.status === 'Not Found' ? 'var(--mm-warning)' : 'var(--mm-error)'));
+                        statusCell.style.fontWeight = 'bold';
+                        statusCell.style.textAlign = 'left';
                 
-                // Function to update the highlighted metadata item in the dropdown
-                function updateHighlightedMetadataItem(items) {
-                    items.forEach((item, index) => {
-                        if (index === highlightedMetadataIndex) {
-                            item.classList.add('highlighted');
-                        } else {
-                            item.classList.remove('highlighted');
+                        if (result.members) {
+                            showWildcardMembers(result.index, result.members);
+                        }
+                
+                        clearRetrievedFiles(result.index);
+                        if (result.files && result.files.length > 0) {
+                            retrievedFiles[result.index] = result.files;
+                        }
+                
+                        if (result.status === 'Failed' || result.status === 'Not Found') {
+                            failedComponents.push(selectedComponents[result.index]);
+                            // Store error message for this component
+                            if (result.errorMessage) {
+                                componentErrorMessages[result.index] = result.errorMessage;
+                                // Add tooltip to the status cell
+                                statusCell.classList.add('tooltip');
+                                const tooltip = document.createElement('span');
+                                tooltip.className = 'tooltiptext';
+                                tooltip.textContent = result.errorMessage;
+                                statusCell.appendChild(tooltip);
+                            }
+                        }
+                
+                        if (retrievedFiles[result.index]) {
+                            addRetrievedFilesToggle(statusCell, result.index);
                         }
-                    });
-                    
-                    // Scroll to the highlighted item if needed
-                    if (highlightedMetadataIndex >= 0 && highlightedMetadataIndex < items.length) {
-                        items[highlightedMetadataIndex].scrollIntoView({block: 'nearest'});
                     }
+                });
+            }
+            
+            // Fills the error section with the message's errors, one per component, or its error message, as text
+            function showErrorMessage(message) {
+                const errorMessage = document.getElementById('errorMessage');
+                errorMessage.textContent = '';
+                if (!message.errors || message.errors.length === 0) {
+                    errorMessage.textContent = message.errorMessage;
+                    return;
                 }
-            });
+                message.errors.forEach(error => {
+                    const item = document.createElement('div');
+                    item.style.marginBottom = '12px';
+                    const name = document.createElement('strong');
+                    name.textContent = error.component.apiName + ' (' + error.component.type + ')';
+                    item.append('• ', name, ' - ' + error.message);
+                    errorMessage.appendChild(item);
+                });
+            }
             
-            function addComponents() {
-                if (selectedAvailableComponents.size === 0) {
+            // Escapes text for use in innerHTML and attribute values
+            function escapeHtml(text) {
+                return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+            }
+            
+            // Reads out how many rows succeeded, failed or were not found
+            function announceRetrievalResults(message) {
+                if (message.errorType === 'cancelled') {
+                    announce('Retrieve cancelled');
                     return;
                 }
+                const count = status => message.results.filter(result => result.status === status).length;
+                const summary = [count('Success') + ' succeeded', count('Failed') + ' failed', count('Not Found') + ' not found', count('Skipped') + ' skipped']
+                    .filter(part => !part.startsWith('0 ')).join(', ');
+                announce('Finished: ' + (summary || 'no components') + (message.warnings && message.warnings.length > 0 ? ', with ' + message.warnings.length + ' warnings' : ''));
+            }
+            
+            // Shows the spinner, the time since startedAt and the Cancel button until the retrieval status arrives
+            function showRetrieveRunning(startedAt) {
+                document.getElementById('retrieveSpinner').style.display = 'block';
+                document.getElementById('previewBtn').disabled = true;
+                document.getElementById('retrieveBtn').disabled = true;
+                document.getElementById('deployBtn').disabled = true;
                 
-                const metadataTypeInput = document.getElementById('metadataTypeInput');
-                const metadataType = metadataTypeInput.dataset.selectedType || '';
-                const selectedType = metadataTypes.find(t => t.name === metadataType);
-                const typeName = selectedType ? selectedType.label : metadataType;
+                const cancelRetrieveBtn = document.getElementById('cancelRetrieveBtn');
+                cancelRetrieveBtn.disabled = false;
+                cancelRetrieveBtn.style.display = 'block';
                 
-                // Add selected components to the selected components table
-                selectedAvailableComponents.forEach(apiName => {
-                    const component = allComponents.find(c => c.apiName === apiName);
-                    if (component) {
-                        selectedComponents.push({
-                            name: component.name,
-                            apiName: component.apiName,
-                            type: metadataType
-                        });
-                    }
+                const showElapsed = () => {
+                    const seconds = Math.floor((Date.now() - startedAt) / 1000);
+                    document.getElementById('retrieveElapsed').textContent = Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+                };
+                clearInterval(retrieveTimer);
+                showElapsed();
+                document.getElementById('retrieveBatchProgress').textContent = '';
+                showRetrieveWarnings([]);
+                retrieveTimer = setInterval(showElapsed, 1000);
+            }
+            
+            // Lists the warnings the CLI reported for the retrieve; none hides the list
+            function showRetrieveWarnings(warnings) {
+                const warningList = document.getElementById('retrieveWarningList');
+                warningList.innerHTML = '';
+                warnings.forEach(warning => {
+                    const item = document.createElement('li');
+                    item.textContent = warning;
+                    warningList.appendChild(item);
                 });
+                document.getElementById('retrieveWarnings').style.display = warnings.length > 0 ? 'block' : 'none';
+            }
+            
+            function hideRetrieveRunning() {
+                clearInterval(retrieveTimer);
+                retrieveTimer = null;
+                document.getElementById('retrieveElapsed').textContent = '';
+                document.getElementById('retrieveBatchProgress').textContent = '';
+                document.getElementById('cancelRetrieveBtn').style.display = 'none';
+            }
+            
+            function cancelRetrieve() {
+                document.getElementById('cancelRetrieveBtn').disabled = true;
+                vscode.postMessage({ command: 'cancelRetrieve' });
+            }
+            
+            // Asks the extension to retrieve the selection into a temp directory and compare it with the project
+            function previewRetrieve() {
+                if (selectedComponents.length === 0) {
+                    return;
+                }
                 
-                updateTable();
+                previewComponents = selectedComponents.slice();
+                document.getElementById('previewSection').style.display = 'block';
+                document.getElementById('retrievePreviewBtn').style.display = 'none';
+                document.getElementById('previewList').innerHTML = '<div style="color: var(--mm-muted); font-style: italic; display: flex; align-items: center;">Retrieving components for preview...<div class="spinner" style="display: inline-block;"></div></div>';
+                document.getElementById('previewSpinner').style.display = 'block';
+                document.getElementById('previewBtn').disabled = true;
                 
-                // Remove added components from allComponents
-                allComponents = allComponents.filter(comp => !selectedAvailableComponents.has(comp.apiName));
+                vscode.postMessage({
+                    command: 'previewRetrieve',
+                    components: selectedComponents
+                });
+            }
+            
+            function isPreviewCurrent() {
+                return previewComponents !== null &&
+                    previewComponents.length === selectedComponents.length &&
+                    previewComponents.every((comp, index) => comp === selectedComponents[index]);
+            }
+            
+            function renderRetrievePreview(preview) {
+                const previewList = document.getElementById('previewList');
+                previewList.innerHTML = '';
+                retrievePreview = preview;
                 
-                // Clear selected available components
-                selectedAvailableComponents.clear();
+                preview.forEach((entry, entryIndex) => {
+                    const comp = selectedComponents[entry.index];
+                    const status = PREVIEW_STATUSES[entry.status];
+                    const header = document.createElement('label');
+                    header.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 0; font-size: 14px; font-weight: 600; color: var(--mm-foreground);';
+                    header.innerHTML = \`
+                        <input type="checkbox" class="preview-checkbox" data-index="\${entry.index}" checked style="width: auto; margin: 0;">
+                        <span>\${comp.apiName}</span>
+                        <span style="color: var(--mm-muted); font-weight: normal;">(\${getTypeLabel(comp.type)})</span>
+                        <span title="\${status.title}" style="color: \${status.color};">\${status.label}</span>
+                    \`;
+                    previewList.appendChild(header);
+                    
+                    const list = document.createElement('ul');
+                    list.style.cssText = 'list-style: none; margin: 4px 0 12px; padding-left: 20px; font-size: 13px;';
+                    if (entry.errorMessage) {
+                        const item = document.createElement('li');
+                        item.style.color = 'var(--mm-error)';
+                        item.style.whiteSpace = 'pre-line';
+                        item.textContent = entry.errorMessage;
+                        list.appendChild(item);
+                    }
+                    
+                    entry.files.forEach((file, fileIndex) => {
+                        const fileStatus = PREVIEW_STATUSES[file.status];
+                        const item = document.createElement('li');
+                        const link = document.createElement('a');
+                        link.href = '#';
+                        link.textContent = file.name;
+                        link.title = file.localPath && file.orgPath ? 'Compare the local file with the org' : 'Open the file';
+                        link.addEventListener('click', function(event) {
+                            event.preventDefault();
+                            openPreviewFile(entryIndex, fileIndex);
+                        });
+                        const label = document.createElement('span');
+                        label.style.color = fileStatus.color;
+                        label.textContent = ' ' + fileStatus.label;
+                        item.appendChild(link);
+                        item.appendChild(label);
+                        list.appendChild(item);
+                    });
+                    
+                    previewList.appendChild(list);
+                });
                 
-                // Reset search input
-                const searchComponentInput = document.getElementById('searchComponentInput');
-                if (searchComponentInput) {
-                    searchComponentInput.value = '';
+                document.getElementById('retrievePreviewBtn').style.display = preview.length > 0 ? 'block' : 'none';
+            }
+            
+            function openRetrieveHistory() {
+                document.getElementById('historySection').style.display = 'block';
+                document.getElementById('historyList').innerHTML = '<div style="color: var(--mm-muted); font-style: italic;">Loading retrieve history...</div>';
+                vscode.postMessage({ command: 'getRetrieveHistory' });
+            }
+            
+            // Lists past retrieves, newest first, with the components that failed and buttons to load or re-run them
+            function renderRetrieveHistory() {
+                const historyList = document.getElementById('historyList');
+                historyList.innerHTML = '';
+                
+                if (retrieveHistory.length === 0) {
+                    historyList.innerHTML = '<div style="color: var(--mm-muted); font-style: italic;">No retrieves yet</div>';
+                    return;
                 }
                 
-                // Update component table
-                if (allComponents.length === 0) {
-                    // Show no components message
-                    document.getElementById('noComponentsMessage').style.display = 'flex';
-                    const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
-                    const selectedType = metadataTypes.find(t => t.name === metadataType);
-                    const typeName = selectedType ? selectedType.label : metadataType;
-                    document.getElementById('noComponentsMessage').innerHTML = '<span style="color: #dc3545; font-style: italic; font-weight: bold;">No more components to select. All components of metadata type ' + typeName + ' are already selected.</span>';
-                    document.getElementById('componentDiv').style.display = 'block';
-                    document.getElementById('searchComponentContainer').style.display = 'none';
-                    document.getElementById('componentTableContainer').style.display = 'none';
-                    document.getElementById('addComponentBtn').style.display = 'none';
-                } else {
-                    // Repopulate component table
-                    const componentTableBody = document.getElementById('componentTableBody');
-                    componentTableBody.innerHTML = '';
+                retrieveHistory.forEach(entry => {
+                    const count = status => entry.results.filter(result => result.status === status).length;
+                    const failed = count('Failed') + count('Not Found');
+                    const summary = [count('Success') + ' succeeded', count('Failed') + ' failed', count('Not Found') + ' not found', count('Skipped') + ' skipped']
+                        .filter(part => !part.startsWith('0 ')).join(', ');
                     
-                    // Sort components by name
-                    const sortedComponents = [...allComponents].sort((a, b) => a.name.localeCompare(b.name));
-                    
-                    sortedComponents.forEach(comp => {
-                        const row = componentTableBody.insertRow();
-                        row.innerHTML = \`
-                            <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; width: 2%;">
-                                <input type="checkbox" data-api-name="\${comp.apiName}" style="margin: 0; vertical-align: middle;">
-                            </td>
-                            <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; font-size: 14px; color: #181818; width: 98%;">\${comp.name}</td>
-                        \`;
+                    const header = document.createElement('div');
+                    header.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 14px; color: var(--mm-foreground);';
+                    header.innerHTML = \`
+                        <span style="font-weight: 600;"></span>
+                        <span style="color: var(--mm-muted);"></span>
+                        <span style="color: \${failed > 0 || entry.errorMessage ? 'var(--mm-error)' : 'var(--mm-success)'};"></span>
+                        <span style="flex: 1;"></span>
+                        <button class="history-load" title="Replace the selected components with this retrieve's components" style="padding: 4px 10px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;">Load</button>
+                        <button class="history-rerun" title="Retrieve these components again from the same org, without changing the manifest" style="padding: 4px 10px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;">Re-run</button>
+                        <button class="history-manifest" title="Open the manifest used by this retrieve" style="padding: 4px 10px; background: var(--mm-button-background); color: var(--mm-button-foreground); border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;">Manifest</button>
+                    \`;
+                    const spans = header.querySelectorAll('span');
+                    spans[0].textContent = new Date(entry.timestamp).toLocaleString();
+                    spans[1].textContent = (entry.targetOrg || 'Default org') + ' - ' + entry.manifestPath + ' - ' + entry.components.length + ' components' +
+                        (entry.backupDir ? ' - backup in ' + entry.backupDir : '');
+                    spans[2].textContent = summary || 'No components';
+                    header.querySelector('.history-load').addEventListener('click', function() {
+                        loadHistoryEntry(entry, false);
                     });
-                    
-                    // Add event listeners to checkboxes
-                    const checkboxes = componentTableBody.querySelectorAll('input[type="checkbox"]');
-                    checkboxes.forEach(checkbox => {
-                        checkbox.addEventListener('change', function() {
-                            const apiName = this.dataset.apiName;
-                            if (this.checked) {
-                                selectedAvailableComponents.add(apiName);
-                            } else {
-                                selectedAvailableComponents.delete(apiName);
-                            }
-                            
-                            // Show/hide add button based on selection
-                            const addComponentBtn = document.getElementById('addComponentBtn');
-                            if (selectedAvailableComponents.size > 0) {
-                                addComponentBtn.style.display = 'block';
-                            } else {
-                                addComponentBtn.style.display = 'none';
-                            }
-                        });
+                    header.querySelector('.history-rerun').addEventListener('click', function() {
+                        loadHistoryEntry(entry, true);
                     });
+                    header.querySelector('.history-manifest').addEventListener('click', function() {
+                        vscode.postMessage({ command: 'openHistoryManifest', id: entry.id });
+                    });
+                    historyList.appendChild(header);
                     
-                    // Hide add button
-                    document.getElementById('addComponentBtn').style.display = 'none';
+                    const list = document.createElement('ul');
+                    list.style.cssText = 'list-style: none; margin: 4px 0 12px; padding-left: 20px; font-size: 13px; color: var(--mm-error);';
+                    if (entry.errorMessage) {
+                        const item = document.createElement('li');
+                        item.textContent = entry.errorMessage;
+                        list.appendChild(item);
+                    }
+                    entry.results.filter(result => (result.status === 'Failed' || result.status === 'Not Found') && result.errorMessage && result.errorMessage !== entry.errorMessage).forEach(result => {
+                        const comp = entry.components[result.index];
+                        const item = document.createElement('li');
+                        item.textContent = comp.apiName + ' (' + getTypeLabel(comp.type) + '): ' + result.errorMessage;
+                        list.appendChild(item);
+                    });
+                    historyList.appendChild(list);
+                });
+            }
+            
+            // Replaces the selection with the components of a past retrieve. When rerun is set they are retrieved again
+            // from the org of that retrieve, with a manifest of their own, so the current manifest is not overwritten
+            function loadHistoryEntry(entry, rerun) {
+                selectedComponents = entry.components.map(comp => ({ ...comp }));
+                updateTable();
+                onMetadataTypeSelect(document.getElementById('metadataTypeInput').dataset.selectedType || '');
+                if (rerun) {
+                    resetComponentSelection();
+                    showRetrieveRunning(Date.now());
+                    announce('Retrieving ' + selectedComponents.length + (selectedComponents.length === 1 ? ' component' : ' components') + ' from ' + (entry.targetOrg || 'the default org'));
+                    vscode.postMessage({ command: 'rerunHistoryEntry', id: entry.id });
                 }
             }
             
-            function retrieveComponents() {
+            // Opens the diff editor for a changed file, or the file itself when it only exists on one side
+            function openPreviewFile(entryIndex, fileIndex) {
+                const file = retrievePreview[entryIndex].files[fileIndex];
+                vscode.postMessage({
+                    command: 'openDiff',
+                    localPath: file.localPath,
+                    orgPath: file.orgPath
+                });
+            }
+            
+            function retrieveFromPreview() {
+                const skipped = [];
+                document.querySelectorAll('.preview-checkbox').forEach(checkbox => {
+                    if (!checkbox.checked) {
+                        skipped.push(parseInt(checkbox.dataset.index, 10));
+                    }
+                });
+                if (skipped.length === selectedComponents.length) {
+                    return;
+                }
+                
+                document.getElementById('previewSection').style.display = 'none';
+                startRetrieve(skipped);
+            }
+            
+            function deployComponents() {
                 if (selectedComponents.length === 0) {
                     return;
                 }
                 
+                const testLevel = document.getElementById('testLevelSelect').value;
+                const tests = document.getElementById('specifiedTestsInput').value
+                    .split(',')
+                    .map(test => test.trim())
+                    .filter(test => test.length > 0);
+                
+                resetComponentSelection();
+                
+                // Show spinner
+                document.getElementById('deploySpinner').style.display = 'block';
+                document.getElementById('previewBtn').disabled = true;
+                document.getElementById('retrieveBtn').disabled = true;
+                document.getElementById('deployBtn').disabled = true;
+                
+                vscode.postMessage({
+                    command: 'deployPackage',
+                    components: selectedComponents,
+                    deployOptions: {
+                        checkOnly: document.getElementById('checkOnlyInput').checked,
+                        testLevel: testLevel,
+                        tests: testLevel === 'RunSpecifiedTests' ? tests : []
+                    }
+                });
+            }
+            
+            // Clears the metadata type and available components before a retrieve or deploy
+            function resetComponentSelection() {
                 // Clear the metadata type input
                 const metadataTypeInput = document.getElementById('metadataTypeInput');
                 metadataTypeInput.value = '';
                 metadataTypeInput.placeholder = 'Select or Search Metadata Type';
                 metadataTypeInput.classList.remove('error');
-                metadataTypeInput.style.color = '#181818';
+                metadataTypeInput.style.color = 'var(--mm-foreground)';
                 metadataTypeInput.style.fontWeight = 'normal';
                 metadataTypeInput.style.fontStyle = 'italic';
                 metadataTypeInput.dataset.selectedType = '';
@@ -1398,21 +4910,76 @@ function getWebviewContent() {
                 
                 // Clear any error messages
                 document.getElementById('resultSection').style.display = 'none';
-                
-                // Show spinner
-                document.getElementById('retrieveSpinner').style.display = 'block';
-                const retrieveBtn = document.getElementById('retrieveBtn');
-                retrieveBtn.disabled = true;
-                
-                vscode.postMessage({
-                    command: 'createPackage',
-                    components: selectedComponents
-                });
             }
             
             document.addEventListener('DOMContentLoaded', function() {
+                document.getElementById('previewBtn').addEventListener('click', previewRetrieve);
                 document.getElementById('retrieveBtn').addEventListener('click', retrieveComponents);
+                document.getElementById('cancelRetrieveBtn').addEventListener('click', cancelRetrieve);
+                document.getElementById('retrievePreviewBtn').addEventListener('click', retrieveFromPreview);
+                document.getElementById('closePreviewBtn').addEventListener('click', function() {
+                    document.getElementById('previewSection').style.display = 'none';
+                });
+                document.getElementById('historyBtn').addEventListener('click', openRetrieveHistory);
+                document.getElementById('closeHistoryBtn').addEventListener('click', function() {
+                    document.getElementById('historySection').style.display = 'none';
+                });
+                document.getElementById('deployBtn').addEventListener('click', deployComponents);
+                document.getElementById('generateDestructiveBtn').addEventListener('click', generateDestructiveChanges);
+                document.getElementById('fromProjectBtn').addEventListener('click', function() {
+                    vscode.postMessage({ command: 'loadFromProject' });
+                });
+                document.getElementById('dependenciesBtn').addEventListener('click', analyseDependencies);
+                document.getElementById('addDependenciesBtn').addEventListener('click', addSelectedDependencies);
+                document.getElementById('closeDependenciesBtn').addEventListener('click', function() {
+                    document.getElementById('dependencySection').style.display = 'none';
+                });
+                document.getElementById('testLevelSelect').addEventListener('change', function() {
+                    document.getElementById('specifiedTestsInput').style.display = this.value === 'RunSpecifiedTests' ? 'block' : 'none';
+                });
                 document.getElementById('addComponentBtn').addEventListener('click', addComponents);
+                document.getElementById('refreshMetadataTypesBtn').addEventListener('click', refreshMetadataTypes);
+                document.getElementById('globalSearchBtn').addEventListener('click', openGlobalSearch);
+                document.getElementById('objectPickerBtn').addEventListener('click', openObjectPicker);
+                document.getElementById('objectSelect').addEventListener('change', function() {
+                    onObjectSelect(this.value);
+                });
+                document.getElementById('wholeObjectInput').addEventListener('change', updateAddObjectComponentsBtn);
+                document.getElementById('addObjectComponentsBtn').addEventListener('click', addObjectComponents);
+                document.getElementById('closeObjectPickerBtn').addEventListener('click', function() {
+                    document.getElementById('objectPickerSection').style.display = 'none';
+                });
+                document.getElementById('orgCompareBtn').addEventListener('click', openOrgCompare);
+                document.getElementById('compareOrgsBtn').addEventListener('click', compareOrgs);
+                document.getElementById('addDifferencesBtn').addEventListener('click', addOrgDifferences);
+                document.getElementById('closeOrgCompareBtn').addEventListener('click', function() {
+                    document.getElementById('orgCompareSection').style.display = 'none';
+                });
+                document.getElementById('buildIndexBtn').addEventListener('click', buildComponentIndex);
+                document.getElementById('addSearchResultsBtn').addEventListener('click', addSearchResults);
+                document.getElementById('globalSearchInput').addEventListener('input', renderSearchResults);
+                document.getElementById('closeGlobalSearchBtn').addEventListener('click', function() {
+                    document.getElementById('globalSearchSection').style.display = 'none';
+                });
+                document.getElementById('refreshComponentsBtn').addEventListener('click', refreshComponents);
+                document.getElementById('wildcardInput').addEventListener('change', function() {
+                    onWildcardToggle(this.checked);
+                });
+                document.getElementById('orgSelect').addEventListener('change', function() {
+                    onOrgChange(this.value);
+                });
+                document.getElementById('manifestSelect').addEventListener('change', function() {
+                    onManifestChange(this.value);
+                });
+                document.getElementById('newManifestBtn').addEventListener('click', function() {
+                    vscode.postMessage({ command: 'newManifest' });
+                });
+                document.getElementById('renameManifestBtn').addEventListener('click', function() {
+                    vscode.postMessage({ command: 'renameManifest' });
+                });
+                document.getElementById('openManifestBtn').addEventListener('click', function() {
+                    vscode.postMessage({ command: 'openManifest' });
+                });
                 
                 // Initialize comboboxes
                 const metadataTypeInput = document.getElementById('metadataTypeInput');
@@ -1438,9 +5005,19 @@ function getWebviewContent() {
                 const message = event.data;
                 
                 switch (message.command) {
+                    case 'orgsLoaded':
+                        populateOrgSelect(message.orgs);
+                        break;
+                        
                     case 'metadataTypesLoaded':
+                        // Ignore responses for an org that is no longer selected
+                        if (message.targetOrg !== currentTargetOrg) {
+                            break;
+                        }
                         metadataTypes = message.metadataTypes;
                         allMetadataTypes = message.metadataTypes;
+                        showRefreshedAt('metadataTypesRefreshed', message.refreshedAt);
+                        populateIndexTypesSelect();
                         
                         // Hide spinner for metadata types
                         const metadataTypeSpinner = document.getElementById('metadataTypeSpinner');
@@ -1453,15 +5030,19 @@ function getWebviewContent() {
                         if (metadataTypeInput) {
                             metadataTypeInput.disabled = false;
                             metadataTypeInput.placeholder = 'Select or Search Metadata Type';
-                            metadataTypeInput.style.color = '#181818';
+                            metadataTypeInput.style.color = 'var(--mm-foreground)';
                             metadataTypeInput.style.fontStyle = 'italic';
                         }
                         
                         // Populate the metadata type combobox
                         populateMetadataTypeCombobox(message.metadataTypes);
+                        announce(message.metadataTypes.length + ' metadata types loaded');
                         break;
                         
                     case 'metadataTypesError':
+                        if (message.targetOrg !== currentTargetOrg) {
+                            break;
+                        }
                         // Hide spinner for metadata types
                         const metadataTypeErrorSpinner = document.getElementById('metadataTypeSpinner');
                         if (metadataTypeErrorSpinner) {
@@ -1473,10 +5054,11 @@ function getWebviewContent() {
                         if (metadataTypeInputError) {
                             metadataTypeInputError.disabled = false;
                             metadataTypeInputError.placeholder = message.errorMessage;
-                            metadataTypeInputError.style.color = '#dc3545';
+                            metadataTypeInputError.style.color = 'var(--mm-error)';
                             metadataTypeInputError.style.fontWeight = 'bold';
                             metadataTypeInputError.style.fontStyle = 'italic';
                         }
+                        announce('Metadata types could not be loaded: ' + message.errorMessage);
                         
                         // Also hide component spinner if it was shown
                         const componentSpinner = document.getElementById('componentSpinner');
@@ -1486,10 +5068,20 @@ function getWebviewContent() {
                         break;
                         
                     case 'componentsLoaded':
-                        // Filter out already selected components
+                        // Ignore responses for an org or metadata type that is no longer selected
                         const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
+                        if (message.targetOrg !== currentTargetOrg || message.metadataType !== metadataType) {
+                            break;
+                        }
+                        showRefreshedAt('componentsRefreshed', message.refreshedAt);
+                        currentUserId = message.currentUserId || null;
+                        announce(message.components.length + ' ' + getTypeLabel(metadataType) + ' components loaded');
+                        
+                        // Filter out already selected components
+                        const wildcardSelected = hasWildcard(metadataType);
                         const unselectedComponents = message.components.filter(comp =>
-                            !selectedComponents.some(selected => selected.apiName === comp.apiName && selected.type === metadataType)
+                            !selectedComponents.some(selected => selected.apiName === comp.apiName && selected.type === metadataType) &&
+                            !(wildcardSelected && isCoveredByWildcard(metadataType, comp.apiName))
                         );
                         
                         allComponents = unselectedComponents;
@@ -1513,7 +5105,7 @@ function getWebviewContent() {
                             const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
                             const selectedType = metadataTypes.find(t => t.name === metadataType);
                             const typeName = selectedType ? selectedType.label : metadataType;
-                            document.getElementById('noComponentsMessage').innerHTML = '<span style="color: #dc3545; font-style: italic; font-weight: bold;">No components retrieved for ' + typeName + '. There may be no components or you may miss enough permissions to retrieve them.</span>';
+                            document.getElementById('noComponentsMessage').innerHTML = '<span style="color: var(--mm-error); font-style: italic; font-weight: bold;">No components retrieved for ' + typeName + '. There may be no components or you may miss enough permissions to retrieve them.</span>';
                             document.getElementById('componentDiv').style.display = 'block';
                             document.getElementById('componentTableContainer').style.display = 'none';
                             document.getElementById('addComponentBtn').style.display = 'none';
@@ -1528,7 +5120,7 @@ function getWebviewContent() {
                             const metadataType = document.getElementById('metadataTypeInput').dataset.selectedType || '';
                             const selectedType = metadataTypes.find(t => t.name === metadataType);
                             const typeName = selectedType ? selectedType.label : metadataType;
-                            document.getElementById('noComponentsMessage').innerHTML = '<span style="color: #dc3545; font-style: italic; font-weight: bold;">No more components to select. All components of metadata type ' + typeName + ' are already selected.</span>';
+                            document.getElementById('noComponentsMessage').innerHTML = '<span style="color: var(--mm-error); font-style: italic; font-weight: bold;">No more components to select. All components of metadata type ' + typeName + ' are already selected.</span>';
                             document.getElementById('componentDiv').style.display = 'block';
                             document.getElementById('searchComponentContainer').style.display = 'none';
                             document.getElementById('componentTableContainer').style.display = 'none';
@@ -1539,102 +5131,173 @@ function getWebviewContent() {
                             document.getElementById('searchComponentContainer').style.display = 'block';
                             document.getElementById('componentTableContainer').style.display = 'block';
                             
-                            // Populate the component table
-                            const componentTableBody = document.getElementById('componentTableBody');
-                            componentTableBody.innerHTML = '';
-                            
-                            // Sort components by name
-                            const sortedComponents = [...unselectedComponents].sort((a, b) => a.name.localeCompare(b.name));
-                            
-                            sortedComponents.forEach(comp => {
-                                const row = componentTableBody.insertRow();
-                                row.innerHTML = \`
-                                    <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; width: 2%;">
-                                        <input type="checkbox" data-api-name="\${comp.apiName}" style="margin: 0; vertical-align: middle;">
-                                    </td>
-                                    <td style="padding: 0px 8px; text-align: left; border-bottom: 1px solid #e5e5e5; height: 32px; vertical-align: middle; line-height: 32px; font-size: 14px; color: #181818; width: 98%;">\${comp.name}</td>
-                                \`;
-                            });
-                            
-                            // Add event listeners to checkboxes
-                            const checkboxes = componentTableBody.querySelectorAll('input[type="checkbox"]');
-                            checkboxes.forEach(checkbox => {
-                                checkbox.addEventListener('change', function() {
-                                    const apiName = this.dataset.apiName;
-                                    if (this.checked) {
-                                        selectedAvailableComponents.add(apiName);
-                                    } else {
-                                        selectedAvailableComponents.delete(apiName);
-                                    }
-                                    
-                                    // Show/hide add button based on selection
-                                    const addComponentBtn = document.getElementById('addComponentBtn');
-                                    if (selectedAvailableComponents.size > 0) {
-                                        addComponentBtn.style.display = 'block';
-                                    } else {
-                                        addComponentBtn.style.display = 'none';
-                                    }
-                                });
+                            renderComponentTable();
+                        }
+                        break;
+                        
+                    case 'retrievePreviewLoaded':
+                    case 'retrievePreviewError':
+                        document.getElementById('previewSpinner').style.display = 'none';
+                        document.getElementById('previewBtn').disabled = selectedComponents.length === 0;
+                        
+                        // Ignore a preview of a selection that has changed since
+                        if (!isPreviewCurrent()) {
+                            break;
+                        }
+                        if (message.command === 'retrievePreviewError') {
+                            document.getElementById('previewList').innerHTML = '<div style="color: var(--mm-error); font-weight: bold;"></div>';
+                            document.getElementById('previewList').firstChild.textContent = message.errorMessage;
+                        } else {
+                            renderRetrievePreview(message.preview);
+                        }
+                        break;
+                        
+                    case 'componentIndexProgress':
+                        if (message.buildId !== indexBuildId) {
+                            break;
+                        }
+                        message.components.forEach(comp => {
+                            componentIndex.push({ ...comp, type: message.metadataType });
+                        });
+                        if (message.errorMessage) {
+                            indexErrors.push(getTypeLabel(message.metadataType) + ': ' + message.errorMessage);
+                        }
+                        indexBuilding = message.done < message.total;
+                        const indexProgress = document.getElementById('indexProgress');
+                        indexProgress.textContent = indexBuilding
+                            ? 'Indexing ' + message.done + ' of ' + message.total + ' types...'
+                            : componentIndex.length + ' components in ' + message.total + ' types' +
+                                (indexErrors.length > 0 ? ', ' + indexErrors.length + (indexErrors.length === 1 ? ' type' : ' types') + ' could not be listed' : '');
+                        indexProgress.title = indexErrors.join('\\n');
+                        renderSearchResults();
+                        break;
+                        
+                    case 'objectsLoaded':
+                        if (message.targetOrg !== currentTargetOrg) {
+                            break;
+                        }
+                        populateObjectSelect(message.objects);
+                        document.getElementById('objectPickerProgress').textContent = message.errorMessage ? 'Could not load objects: ' + message.errorMessage : '';
+                        break;
+                        
+                    case 'objectComponentsLoaded':
+                        if (message.requestId !== objectPickerId) {
+                            break;
+                        }
+                        objectComponents = [];
+                        objectComponentErrors = [];
+                        message.children.forEach(child => {
+                            child.components.forEach(comp => {
+                                objectComponents.push({ ...comp, type: child.type });
                             });
-                            
-                            // Hide add button initially
-                            document.getElementById('addComponentBtn').style.display = 'none';
-                            
-                            // Apply any existing search filter
-                            const searchComponentInput = document.getElementById('searchComponentInput');
-                            if (searchComponentInput && searchComponentInput.value) {
-                                filterComponentsBySearch(searchComponentInput.value);
+                            if (child.errorMessage) {
+                                objectComponentErrors.push(getTypeLabel(child.type) + ': ' + child.errorMessage);
                             }
+                        });
+                        const objectPickerProgress = document.getElementById('objectPickerProgress');
+                        objectPickerProgress.textContent = objectComponents.length + ' components in ' + message.children.length + ' types' +
+                            (objectComponentErrors.length > 0 ? ', ' + objectComponentErrors.length + (objectComponentErrors.length === 1 ? ' type' : ' types') + ' could not be listed' : '');
+                        objectPickerProgress.title = objectComponentErrors.join('\\n');
+                        renderObjectComponents();
+                        break;
+                        
+                    case 'orgCompareProgress':
+                        if (message.compareId !== orgCompareId) {
+                            break;
+                        }
+                        message.differences.forEach(comp => {
+                            orgDifferences.push({ ...comp, type: message.metadataType });
+                        });
+                        if (message.errorMessage) {
+                            orgCompareErrors.push(getTypeLabel(message.metadataType) + ': ' + message.errorMessage);
+                        }
+                        const orgCompareProgress = document.getElementById('orgCompareProgress');
+                        orgCompareProgress.textContent = message.done < message.total
+                            ? 'Comparing ' + message.done + ' of ' + message.total + ' types...'
+                            : orgDifferences.length + ' differences in ' + message.total + ' types' +
+                                (orgCompareErrors.length > 0 ? ', ' + orgCompareErrors.length + (orgCompareErrors.length === 1 ? ' type' : ' types') + ' could not be compared' : '');
+                        orgCompareProgress.title = orgCompareErrors.join('\\n');
+                        renderOrgDifferences();
+                        break;
+                        
+                    case 'retrieveResumed':
+                        selectedComponents = message.components;
+                        updateTable();
+                        showRetrieveRunning(message.startedAt);
+                        break;
+                        
+                    case 'retrieveHistoryLoaded':
+                        retrieveHistory = message.entries;
+                        if (document.getElementById('historySection').style.display === 'block') {
+                            renderRetrieveHistory();
                         }
                         break;
                         
+                    case 'dependenciesLoaded':
+                        renderDependencyTree(message.dependencies);
+                        break;
+                        
+                    case 'dependenciesError': {
+                        const failure = document.createElement('span');
+                        failure.style.cssText = 'color: var(--mm-error); font-style: italic; font-weight: bold;';
+                        failure.textContent = 'Dependency analysis failed: ' + message.errorMessage;
+                        document.getElementById('dependencyTree').replaceChildren(failure);
+                        break;
+                    }
+                        
+                    case 'manifestsLoaded':
+                        populateManifestSelect(message.manifests, message.currentManifest);
+                        break;
+                        
                     case 'loadExistingComponents':
                         selectedComponents = message.components;
                         updateTable();
+                        
+                        // After switching manifests, reload the available components so the new selection is filtered out
+                        if (message.manifestPath) {
+                            onMetadataTypeSelect(document.getElementById('metadataTypeInput').dataset.selectedType || '');
+                        }
+                        break;
+                        
+                    case 'projectComponentsLoaded':
+                        addProjectComponents(message.components);
+                        break;
+                        
+                    case 'retrieveBatchStatus':
+                        showRetrievalResults(message.results);
+                        document.getElementById('retrieveBatchProgress').textContent = message.done < message.batches
+                            ? 'Batch ' + message.done + ' of ' + message.batches + ' retrieved'
+                            : '';
+                        announce('Batch ' + message.done + ' of ' + message.batches + ' retrieved');
                         break;
                         
                     case 'updateRetrievalStatus':
-                        const failedComponents = [];
-                        // Store error messages for each component
-                        const componentErrorMessages = {};
-                        message.results.forEach(result => {
-                            const statusCell = document.getElementById(\`status-\${result.index}\`);
-                            if (statusCell) {
-                                statusCell.textContent = result.status;
-                                statusCell.style.color = result.status === 'Success' ? '#28a745' : '#dc3545';
-                                statusCell.style.fontWeight = 'bold';
-                                statusCell.style.textAlign = 'left';
-                                
-                                if (result.status === 'Failed') {
-                                    failedComponents.push(selectedComponents[result.index]);
-                                    // Store error message for this component
-                                    if (result.errorMessage) {
-                                        componentErrorMessages[result.index] = result.errorMessage;
-                                        // Add tooltip to the status cell
-                                        statusCell.classList.add('tooltip');
-                                        statusCell.innerHTML = \`\${result.status}<span class="tooltiptext">\${result.errorMessage}</span>\`;
-                                    }
-                                }
-                            }
-                        });
+                        showRetrievalResults(message.results);
+                        showRetrieveWarnings(message.warnings || []);
+                        announceRetrievalResults(message);
                         
                         // Show error section if there are errors and components exist
-                        // Hide error section if error type is "command" or "component"
-                        if (message.errorMessage && selectedComponents.length > 0 && message.errorType !== 'command' && message.errorType !== 'component') {
+                        // Hide error section if error type is "command", "component" or "cancelled"
+                        if ((message.errorMessage || (message.errors && message.errors.length > 0)) && selectedComponents.length > 0 && !['command', 'component', 'cancelled'].includes(message.errorType)) {
                             document.getElementById('resultSection').style.display = 'block';
-                            document.getElementById('errorMessage').innerHTML = message.errorMessage;
+                            showErrorMessage(message);
                         } else {
                             document.getElementById('resultSection').style.display = 'none';
                         }
                         
                         // Hide spinner and re-enable button
+                        hideRetrieveRunning();
                         document.getElementById('retrieveSpinner').style.display = 'none';
-                        const retrieveBtn = document.getElementById('retrieveBtn');
-                        retrieveBtn.disabled = selectedComponents.length === 0;
+                        document.getElementById('deploySpinner').style.display = 'none';
+                        document.getElementById('previewBtn').disabled = selectedComponents.length === 0;
+                        document.getElementById('retrieveBtn').disabled = selectedComponents.length === 0;
+                        document.getElementById('deployBtn').disabled = selectedComponents.length === 0;
                         break;
                 }
             });
             
+            vscode.postMessage({ command: 'getOrgs' });
+            vscode.postMessage({ command: 'getManifests' });
             vscode.postMessage({ command: 'getMetadataTypes' });
             
             setTimeout(() => {
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-org cache of CLI results, stored as one JSON file per org: { [key]: { timestamp, value } }
+
+function getCacheFile(cacheDir, orgKey) {
+    return path.join(cacheDir, `${orgKey.replace(/[^\w.@-]/g, '_')}.json`);
+}
+
+function readCache(cacheDir, orgKey) {
+    try {
+        return JSON.parse(fs.readFileSync(getCacheFile(cacheDir, orgKey), 'utf8'));
+    } catch (e) {
+        // Missing or unreadable cache files are treated as empty
+        return {};
+    }
+}
+
+function writeCache(cacheDir, orgKey, cache) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(getCacheFile(cacheDir, orgKey), JSON.stringify(cache));
+}
+
+// Returns { timestamp, value } or null when the entry is missing or older than ttlMinutes
+function getCacheEntry(cacheDir, orgKey, key, ttlMinutes) {
+    const entry = readCache(cacheDir, orgKey)[key];
+    if (!entry || Date.now() - entry.timestamp > ttlMinutes * 60 * 1000) {
+        return null;
+    }
+    return entry;
+}
+
+function setCacheEntry(cacheDir, orgKey, key, value) {
+    const cache = readCache(cacheDir, orgKey);
+    cache[key] = { timestamp: Date.now(), value: value };
+    writeCache(cacheDir, orgKey, cache);
+    return cache[key];
+}
+
+function clearCacheEntries(cacheDir, orgKey, keys) {
+    const cache = readCache(cacheDir, orgKey);
+    keys.forEach(key => {
+        delete cache[key];
+    });
+    writeCache(cacheDir, orgKey, cache);
+}
+
+module.exports = {
+    getCacheEntry,
+    setCacheEntry,
+    clearCacheEntries
+};
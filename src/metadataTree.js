@@ -0,0 +1,193 @@
+const vscode = require('vscode');
+
+// Sidebar tree of org metadata: Org -> Metadata Type -> Components, with folders for folder-based types.
+// Children are loaded when a node is expanded, through the loaders passed in by the extension:
+// getOrgs(), getMetadataTypes(targetOrg, refresh) and getComponents(metadataType, targetOrg, refresh).
+// Nodes are plain objects: { kind: 'org' | 'type' | 'folder' | 'component', targetOrg, ... }
+
+const FOLDER_TYPES = ['Dashboard', 'Document', 'EmailTemplate'];
+
+class MetadataTreeProvider {
+    constructor(loaders) {
+        this.loaders = loaders;
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+        // Ticked components by node id, kept while their nodes are collapsed or reloaded
+        this.checked = new Map();
+        // Nodes to load from the org instead of the cache the next time they are expanded
+        this.refreshIds = new Set();
+    }
+
+    getTreeItem(node) {
+        if (node.kind === 'empty') {
+            return new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.None);
+        }
+        if (node.kind === 'component') {
+            const item = new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.None);
+            item.id = node.id;
+            item.contextValue = 'component';
+            item.description = node.component.lastModifiedByName || '';
+            item.tooltip = `${node.type} ${node.component.apiName}`;
+            item.checkboxState = this.checked.has(node.id) ? vscode.TreeItemCheckboxState.Checked : vscode.TreeItemCheckboxState.Unchecked;
+            return item;
+        }
+
+        const item = new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.Collapsed);
+        item.id = node.id;
+        item.contextValue = node.kind;
+        if (node.kind === 'org') {
+            item.description = node.isDefault ? 'default' : '';
+            item.iconPath = new vscode.ThemeIcon('cloud');
+        } else if (node.kind === 'type') {
+            item.tooltip = node.type;
+            item.iconPath = new vscode.ThemeIcon('symbol-class');
+        } else {
+            item.iconPath = vscode.ThemeIcon.Folder;
+        }
+        return item;
+    }
+
+    async getChildren(node) {
+        if (!node) {
+            const orgs = await this.loaders.getOrgs();
+            return orgs.map(org => ({
+                kind: 'org',
+                id: `org|${org.username}`,
+                label: org.alias || org.username,
+                targetOrg: org.alias || org.username,
+                isDefault: org.isDefault
+            }));
+        }
+
+        if (node.kind === 'org') {
+            const metadataTypes = await this.loaders.getMetadataTypes(node.targetOrg, this.takeRefresh(node));
+            return metadataTypes.map(metadataType => ({
+                kind: 'type',
+                id: `${node.id}|${metadataType.name}`,
+                label: metadataType.label,
+                targetOrg: node.targetOrg,
+                type: metadataType.name
+            }));
+        }
+
+        if (node.kind === 'type') {
+            const components = await this.loaders.getComponents(node.type, node.targetOrg, this.takeRefresh(node));
+            if (components.length === 0) {
+                return [{ kind: 'empty', id: `${node.id}|empty`, label: 'No components' }];
+            }
+            node.components = components;
+            return FOLDER_TYPES.includes(node.type) ? this.getFolderChildren(node, '') : components.map(comp => this.toComponentNode(node, comp));
+        }
+
+        if (node.kind === 'folder') {
+            return this.getFolderChildren(node.typeNode, node.path);
+        }
+
+        return [];
+    }
+
+    // Sub-folders and components directly inside folderPath, using the folder paths of the components
+    getFolderChildren(typeNode, folderPath) {
+        const folders = new Set();
+        const components = [];
+        typeNode.components.forEach(comp => {
+            const compFolder = comp.folderPath || '';
+            if (compFolder === folderPath) {
+                components.push(this.toComponentNode(typeNode, comp));
+            } else if (!folderPath || compFolder.startsWith(`${folderPath}/`)) {
+                folders.add(compFolder.substring(folderPath ? folderPath.length + 1 : 0).split('/')[0]);
+            }
+        });
+
+        const folderNodes = Array.from(folders).sort((a, b) => a.localeCompare(b)).map(name => {
+            const subFolder = folderPath ? `${folderPath}/${name}` : name;
+            return {
+                kind: 'folder',
+                id: `${typeNode.id}|folder|${subFolder}`,
+                label: name === 'unfiled$public' ? 'Unfiled Public' : name,
+                targetOrg: typeNode.targetOrg,
+                type: typeNode.type,
+                typeNode: typeNode,
+                path: subFolder
+            };
+        });
+        return folderNodes.concat(components);
+    }
+
+    toComponentNode(typeNode, comp) {
+        // Folder-based components are shown by name inside their folder
+        const label = comp.folderPath ? comp.apiName.substring(comp.folderPath.length + 1) : comp.apiName;
+        return {
+            kind: 'component',
+            id: `${typeNode.id}|${comp.apiName}`,
+            label: label,
+            targetOrg: typeNode.targetOrg,
+            type: typeNode.type,
+            component: comp
+        };
+    }
+
+    takeRefresh(node) {
+        const refresh = this.refreshIds.has(node.id);
+        this.refreshIds.delete(node.id);
+        return refresh;
+    }
+
+    // Reloads the children of a node from the org, or the org list when no node is given
+    refresh(node) {
+        if (node) {
+            this.refreshIds.add(node.id);
+        }
+        this.changeEmitter.fire(node);
+    }
+
+    setChecked(items) {
+        items.forEach(([node, state]) => {
+            if (node.kind !== 'component') {
+                return;
+            }
+            if (state === vscode.TreeItemCheckboxState.Checked) {
+                this.checked.set(node.id, node);
+            } else {
+                this.checked.delete(node.id);
+            }
+        });
+    }
+
+    clearChecked() {
+        this.checked.clear();
+        this.changeEmitter.fire();
+    }
+
+    // The components of the given nodes, or the ticked components when there are none, grouped by org:
+    // [{ targetOrg, components: [{ name, apiName, type }] }]. Folders stand for the loaded components inside them
+    getSelection(nodes) {
+        const selected = nodes && nodes.length > 0 ? nodes : Array.from(this.checked.values());
+        const groups = new Map();
+        selected.forEach(node => {
+            let components = [];
+            if (node.kind === 'component') {
+                components = [node.component];
+            } else if (node.kind === 'folder') {
+                components = node.typeNode.components.filter(comp => comp.folderPath === node.path || (comp.folderPath || '').startsWith(`${node.path}/`));
+            }
+            if (components.length === 0) {
+                return;
+            }
+            if (!groups.has(node.targetOrg)) {
+                groups.set(node.targetOrg, { targetOrg: node.targetOrg, components: [] });
+            }
+            const group = groups.get(node.targetOrg);
+            components.forEach(comp => {
+                if (!group.components.some(other => other.type === node.type && other.apiName === comp.apiName)) {
+                    group.components.push({ name: comp.name, apiName: comp.apiName, type: node.type });
+                }
+            });
+        });
+        return Array.from(groups.values());
+    }
+}
+
+module.exports = {
+    MetadataTreeProvider
+};
@@ -0,0 +1,321 @@
+// Round-trippable reader and writer for package.xml manifests.
+// Untouched nodes keep their original text, so comments, <fullName>, <description>,
+// <version> and unknown elements survive a save unchanged.
+
+const PACKAGE_NAMESPACE = 'http://soap.sforce.com/2006/04/metadata';
+
+function parseXml(xml) {
+    const root = { type: 'document', children: [] };
+    const stack = [root];
+    let pos = 0;
+
+    const current = () => stack[stack.length - 1];
+    const fail = (message) => {
+        const line = xml.substring(0, pos).split('\n').length;
+        throw new Error(`Invalid XML at line ${line}: ${message}`);
+    };
+    const readUntil = (terminator, what) => {
+        const end = xml.indexOf(terminator, pos);
+        if (end === -1) {
+            fail(`unterminated ${what}`);
+        }
+        const raw = xml.substring(pos, end + terminator.length);
+        pos = end + terminator.length;
+        return raw;
+    };
+
+    while (pos < xml.length) {
+        if (xml[pos] !== '<') {
+            const end = xml.indexOf('<', pos);
+            const raw = xml.substring(pos, end === -1 ? xml.length : end);
+            current().children.push({ type: 'text', raw: raw });
+            pos += raw.length;
+        } else if (xml.startsWith('<!--', pos)) {
+            current().children.push({ type: 'comment', raw: readUntil('-->', 'comment') });
+        } else if (xml.startsWith('<![CDATA[', pos)) {
+            current().children.push({ type: 'cdata', raw: readUntil(']]>', 'CDATA section') });
+        } else if (xml.startsWith('<?', pos)) {
+            current().children.push({ type: 'instruction', raw: readUntil('?>', 'processing instruction') });
+        } else if (xml.startsWith('<!', pos)) {
+            current().children.push({ type: 'doctype', raw: readUntil('>', 'declaration') });
+        } else if (xml.startsWith('</', pos)) {
+            const raw = readUntil('>', 'end tag');
+            const name = raw.substring(2, raw.length - 1).trim();
+            const element = current();
+            if (element.type !== 'element' || element.name !== name) {
+                fail(`unexpected </${name}>`);
+            }
+            stack.pop();
+        } else {
+            const match = /^<([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.substring(pos));
+            if (!match) {
+                fail('malformed start tag');
+            }
+            const element = {
+                type: 'element',
+                name: match[1],
+                rawAttributes: match[2],
+                selfClosing: match[3] === '/',
+                children: []
+            };
+            current().children.push(element);
+            pos += match[0].length;
+            if (!element.selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        fail(`missing </${current().name}>`);
+    }
+    return root;
+}
+
+function serializeXml(node) {
+    if (node.type === 'document') {
+        return node.children.map(serializeXml).join('');
+    }
+    if (node.type === 'element') {
+        if (node.selfClosing && node.children.length === 0) {
+            return `<${node.name}${node.rawAttributes}/>`;
+        }
+        return `<${node.name}${node.rawAttributes}>${node.children.map(serializeXml).join('')}</${node.name}>`;
+    }
+    return node.raw;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function decodeXml(raw) {
+    return raw.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (entity, code) => {
+        switch (code) {
+            case 'amp': return '&';
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'quot': return '"';
+            case 'apos': return '\'';
+            default:
+                return String.fromCodePoint(code[1] === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10));
+        }
+    });
+}
+
+// Decoded text of an element, including CDATA sections
+function textContent(element) {
+    return element.children.map(child => {
+        if (child.type === 'text') return decodeXml(child.raw);
+        if (child.type === 'cdata') return child.raw.substring(9, child.raw.length - 3);
+        if (child.type === 'element') return textContent(child);
+        return '';
+    }).join('').trim();
+}
+
+function childElements(element, name) {
+    return element.children.filter(child => child.type === 'element' && (!name || child.name === name));
+}
+
+function getPackageElement(document) {
+    const packageElement = childElements(document, 'Package')[0];
+    if (!packageElement) {
+        throw new Error('Manifest has no <Package> element');
+    }
+    return packageElement;
+}
+
+// Returns [{ name, members }] in file order; members are decoded and may include '*'
+function readPackageTypes(document) {
+    return childElements(getPackageElement(document), 'types').map(typesElement => {
+        const nameElement = childElements(typesElement, 'name')[0];
+        return {
+            name: nameElement ? textContent(nameElement) : '',
+            members: childElements(typesElement, 'members').map(textContent)
+        };
+    });
+}
+
+function readPackageVersion(document) {
+    const versionElement = childElements(getPackageElement(document), 'version')[0];
+    return versionElement ? textContent(versionElement) : null;
+}
+
+// Rewrites the <types> of an existing manifest to match groupedComponents ({ type: [members] }).
+// Members that are kept stay where they are, new members are inserted in sorted position,
+// and everything else in the file is left as it was. apiVersion is only used when <version> is missing.
+function updatePackage(document, groupedComponents, apiVersion) {
+    const packageElement = getPackageElement(document);
+    const typesIndent = detectChildIndent(packageElement, '    ');
+    // New <types> indent their members like the existing ones
+    const firstTypesElement = childElements(packageElement, 'types')[0];
+    const newMemberIndent = firstTypesElement ? detectChildIndent(firstTypesElement, typesIndent + '    ') : typesIndent + '    ';
+    const seen = {};
+
+    // Drop members that are no longer selected, and duplicates
+    childElements(packageElement, 'types').forEach(typesElement => {
+        const nameElement = childElements(typesElement, 'name')[0];
+        const type = nameElement ? textContent(nameElement) : '';
+        const wanted = groupedComponents[type] || [];
+        seen[type] = seen[type] || new Set();
+
+        childElements(typesElement, 'members').forEach(memberElement => {
+            const member = textContent(memberElement);
+            if (!wanted.includes(member) || seen[type].has(member)) {
+                removeChild(typesElement, memberElement);
+            } else {
+                seen[type].add(member);
+            }
+        });
+    });
+
+    // Insert members that are not in the file yet
+    Object.keys(groupedComponents).forEach(type => {
+        const missing = [...new Set(groupedComponents[type])]
+            .filter(member => !(seen[type] && seen[type].has(member)))
+            .sort();
+        if (missing.length === 0) {
+            return;
+        }
+
+        const typesElement = childElements(packageElement, 'types').find(element => {
+            const nameElement = childElements(element, 'name')[0];
+            return nameElement && textContent(nameElement) === type;
+        });
+
+        if (typesElement) {
+            const memberIndent = detectChildIndent(typesElement, newMemberIndent);
+            missing.forEach(member => insertMember(typesElement, member, memberIndent));
+        } else {
+            const newTypesElement = createTypesElement(type, missing, typesIndent, newMemberIndent);
+            const versionElement = childElements(packageElement, 'version')[0];
+            insertChild(packageElement, newTypesElement, typesIndent, versionElement);
+        }
+    });
+
+    // Drop <types> that have no members left
+    childElements(packageElement, 'types').forEach(typesElement => {
+        if (childElements(typesElement, 'members').length === 0) {
+            removeChild(packageElement, typesElement);
+        }
+    });
+
+    if (!childElements(packageElement, 'version')[0]) {
+        insertChild(packageElement, createElement('version', apiVersion), typesIndent, null);
+    }
+
+    return document;
+}
+
+// Builds a new manifest from groupedComponents ({ type: [members] })
+function buildPackageXml(groupedComponents, apiVersion) {
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<Package xmlns="${PACKAGE_NAMESPACE}">\n`;
+
+    Object.keys(groupedComponents).forEach(type => {
+        xml += `    <types>\n`;
+        // Sort to ensure folders come before their contents
+        groupedComponents[type].sort().forEach(member => {
+            xml += `        <members>${escapeXml(member)}</members>\n`;
+        });
+        xml += `        <name>${escapeXml(type)}</name>\n    </types>\n`;
+    });
+
+    xml += `    <version>${escapeXml(apiVersion)}</version>\n</Package>`;
+    return xml;
+}
+
+function createElement(name, text) {
+    return {
+        type: 'element',
+        name: name,
+        rawAttributes: '',
+        selfClosing: false,
+        children: text === undefined ? [] : [{ type: 'text', raw: escapeXml(text) }]
+    };
+}
+
+function createTypesElement(type, members, indent, memberIndent) {
+    const typesElement = createElement('types');
+    members.forEach(member => {
+        typesElement.children.push({ type: 'text', raw: '\n' + memberIndent }, createElement('members', member));
+    });
+    typesElement.children.push(
+        { type: 'text', raw: '\n' + memberIndent },
+        createElement('name', type),
+        { type: 'text', raw: '\n' + indent }
+    );
+    return typesElement;
+}
+
+// Inserts a <members> element before the first member that sorts after it, else after the last member
+function insertMember(typesElement, member, indent) {
+    const memberElements = childElements(typesElement, 'members');
+    const nextMember = memberElements.find(element => textContent(element) > member);
+    const memberElement = createElement('members', member);
+
+    if (nextMember) {
+        insertChild(typesElement, memberElement, indent, nextMember);
+    } else if (memberElements.length > 0) {
+        const lastMember = memberElements[memberElements.length - 1];
+        const index = typesElement.children.indexOf(lastMember);
+        typesElement.children.splice(index + 1, 0, { type: 'text', raw: '\n' + indent }, memberElement);
+    } else {
+        insertChild(typesElement, memberElement, indent, childElements(typesElement)[0] || null);
+    }
+}
+
+// Inserts node on its own line before reference, or before the closing tag when reference is null
+function insertChild(parent, node, indent, reference) {
+    if (reference) {
+        const index = parent.children.indexOf(reference);
+        parent.children.splice(index, 0, node, { type: 'text', raw: '\n' + indent });
+        return;
+    }
+
+    const last = parent.children[parent.children.length - 1];
+    if (last && isWhitespace(last)) {
+        parent.children.splice(parent.children.length - 1, 0, { type: 'text', raw: '\n' + indent }, node);
+    } else {
+        parent.children.push({ type: 'text', raw: '\n' + indent }, node, { type: 'text', raw: '\n' });
+    }
+}
+
+// Removes node together with the whitespace that puts it on its own line
+function removeChild(parent, node) {
+    const index = parent.children.indexOf(node);
+    const previous = parent.children[index - 1];
+    if (previous && isWhitespace(previous)) {
+        parent.children.splice(index - 1, 2);
+    } else {
+        parent.children.splice(index, 1);
+    }
+}
+
+function isWhitespace(node) {
+    return node.type === 'text' && node.raw.trim() === '';
+}
+
+// Indentation used for the children of element, taken from the first indented child
+function detectChildIndent(element, fallback) {
+    for (let i = 1; i < element.children.length; i++) {
+        const previous = element.children[i - 1];
+        if (element.children[i].type === 'element' && isWhitespace(previous) && previous.raw.includes('\n')) {
+            return previous.raw.substring(previous.raw.lastIndexOf('\n') + 1);
+        }
+    }
+    return fallback;
+}
+
+module.exports = {
+    parseXml,
+    serializeXml,
+    escapeXml,
+    decodeXml,
+    readPackageTypes,
+    readPackageVersion,
+    updatePackage,
+    buildPackageXml
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+// Log of past retrieves, newest first, stored as one JSON file:
+// [{ id, timestamp, targetOrg, manifestPath, manifestXml, backupDir, backupFormat, components, results, errorMessage }]
+
+const HISTORY_LIMIT = 50;
+
+function getHistoryFile(historyDir) {
+    return path.join(historyDir, 'history.json');
+}
+
+function readHistory(historyDir) {
+    try {
+        return JSON.parse(fs.readFileSync(getHistoryFile(historyDir), 'utf8'));
+    } catch (e) {
+        // A missing or unreadable history is treated as empty
+        return [];
+    }
+}
+
+// Adds an entry and drops the oldest ones beyond HISTORY_LIMIT; returns the stored entry
+function addHistoryEntry(historyDir, entry) {
+    const stored = { id: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`, timestamp: Date.now(), ...entry };
+    const history = [stored].concat(readHistory(historyDir)).slice(0, HISTORY_LIMIT);
+    fs.mkdirSync(historyDir, { recursive: true });
+    fs.writeFileSync(getHistoryFile(historyDir), JSON.stringify(history));
+    return stored;
+}
+
+function getHistoryEntries(historyDir) {
+    return readHistory(historyDir);
+}
+
+function getHistoryEntry(historyDir, id) {
+    return readHistory(historyDir).find(entry => entry.id === id) || null;
+}
+
+module.exports = {
+    addHistoryEntry,
+    getHistoryEntries,
+    getHistoryEntry
+};
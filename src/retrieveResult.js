@@ -0,0 +1,151 @@
+// Interprets the result of `sf project retrieve start` / `resume` for the retrieved components:
+// files are matched to components by type and full name, every component gets its file paths,
+// and components the org does not have are told apart from real failures
+
+const HEAD_NOT_FOUND = 'Metadata API request failed: Could not find HEAD.';
+const NOT_FOUND_PATTERN = /Entity of type '([^']+)' named '([^']+)' cannot be found/;
+
+function toArray(value) {
+    return Array.isArray(value) ? value : (value ? [value] : []);
+}
+
+function componentKey(type, fullName) {
+    return `${type}|${fullName}`;
+}
+
+// Files of a source format retrieve, or the fileProperties of a metadata format one
+function getRetrievedFiles(result) {
+    if (result && Array.isArray(result.files)) {
+        return result.files;
+    }
+    return toArray(result && result.fileProperties).map(file => ({
+        fullName: file.fullName,
+        type: file.type,
+        state: 'Changed',
+        filePath: file.fileName
+    }));
+}
+
+// Lists the components a wildcard resolved to, from the files reported by the CLI
+function expandWildcardMembers(metadataType, files) {
+    const members = {};
+
+    files.filter(file => file.type === metadataType && file.fullName).forEach(file => {
+        // Bundles report one entry per file, so a failure on any file marks the component as failed
+        if (!members[file.fullName] || file.state === 'Failed') {
+            members[file.fullName] = {
+                name: file.fullName,
+                status: file.state === 'Failed' ? 'Failed' : 'Success',
+                errorMessage: file.state === 'Failed' ? (file.error || file.problem || 'Unknown error') : null
+            };
+        }
+    });
+
+    return Object.values(members).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Returns { results: [{ index, status, errorMessage, files, members? }], errors, errorMessage, errorType, warnings } for a
+// retrieve the CLI reported as successful. status is 'Success', 'Failed' or 'Not Found'; errors lists the components that
+// failed or were not found as [{ component: { type, apiName }, message }], and errorType is then 'component'.
+// Messages are plain text from the CLI, left for the webview to escape
+function interpretRetrieveResult(components, result, cliWarnings) {
+    const files = getRetrievedFiles(result);
+    const warnings = toArray(cliWarnings).slice();
+    const notFound = new Set();
+    const failures = new Map();
+
+    // Components missing from the org are reported as messages, or as failed files by newer CLI versions
+    toArray(result && result.messages).forEach(message => {
+        const match = NOT_FOUND_PATTERN.exec(message.problem || '');
+        if (match) {
+            notFound.add(componentKey(match[1], match[2]));
+        } else if (message.problem) {
+            warnings.push(message.fileName ? `${message.fileName}: ${message.problem}` : message.problem);
+        }
+    });
+    files.filter(file => file.state === 'Failed').forEach(file => {
+        const error = file.error || file.problem || 'Unknown error';
+        const key = componentKey(file.type, file.fullName);
+        if (NOT_FOUND_PATTERN.test(error)) {
+            notFound.add(key);
+        } else if (!failures.has(key)) {
+            failures.set(key, { type: file.type, fullName: file.fullName, error });
+        }
+    });
+
+    const results = components.map((comp, index) => {
+        // A wildcard row is expanded into the components of its type that were retrieved
+        if (comp.apiName === '*') {
+            const members = expandWildcardMembers(comp.type, files);
+            const failedCount = members.filter(member => member.status === 'Failed').length;
+            return {
+                index,
+                status: failedCount > 0 ? 'Failed' : 'Success',
+                errorMessage: failedCount > 0 ? `${failedCount} of ${members.length} components failed` : null,
+                files: files.filter(file => file.type === comp.type && file.state !== 'Failed' && file.filePath).map(file => file.filePath),
+                members
+            };
+        }
+
+        const key = componentKey(comp.type, comp.apiName);
+        if (failures.has(key)) {
+            return { index, status: 'Failed', errorMessage: failures.get(key).error, files: [] };
+        }
+        if (notFound.has(key)) {
+            return { index, status: 'Not Found', errorMessage: 'Not found in the org', files: [] };
+        }
+        const componentFiles = files
+            .filter(file => componentKey(file.type, file.fullName) === key && file.state !== 'Failed' && file.filePath)
+            .map(file => file.filePath);
+        return { index, status: 'Success', errorMessage: null, files: componentFiles };
+    });
+
+    const errors = Array.from(failures.values()).map(failure => ({
+        component: { type: failure.type, apiName: failure.fullName },
+        message: failure.error
+    }));
+    components.filter(comp => notFound.has(componentKey(comp.type, comp.apiName))).forEach(comp => {
+        errors.push({ component: { type: comp.type, apiName: comp.apiName }, message: 'Not found in the org' });
+    });
+
+    return {
+        results,
+        errors,
+        errorMessage: null,
+        errorType: errors.length > 0 ? 'component' : null,
+        warnings
+    };
+}
+
+// Same as interpretRetrieveResult for a retrieve the CLI reported as failed. A failure that still returned its files,
+// like a retrieve with failed components, is interpreted as a result; otherwise every component failed with the error
+function interpretRetrieveError(components, error) {
+    // Treat 'Could not find HEAD' as success
+    if (error.message.includes(HEAD_NOT_FOUND)) {
+        return {
+            results: components.map((comp, index) => ({ index, status: 'Success', errorMessage: null, files: [] })),
+            errors: [],
+            errorMessage: null,
+            errorType: null,
+            warnings: toArray(error.warnings)
+        };
+    }
+
+    if (error.result && (error.result.files || error.result.fileProperties)) {
+        return interpretRetrieveResult(components, error.result, error.warnings);
+    }
+
+    return {
+        results: components.map((comp, index) => ({ index, status: 'Failed', errorMessage: null, files: [] })),
+        errors: [],
+        errorMessage: error.message,
+        errorType: null,
+        warnings: toArray(error.warnings)
+    };
+}
+
+module.exports = {
+    interpretRetrieveResult,
+    interpretRetrieveError,
+    expandWildcardMembers
+};
@@ -0,0 +1,187 @@
+const { spawn, execFile } = require('child_process');
+
+// Runs the Salesforce CLI with an argument array, so metadata names, folders and queries are never read by a shell,
+// and unwraps its --json envelope: { status, result, warnings } on success, { status, name, message, data } on failure
+
+// Base class of every failure; stdout and stderr are kept for troubleshooting
+class SfCliError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SfCliError';
+        this.exitCode = details.exitCode ?? null;
+        this.stdout = details.stdout || '';
+        this.stderr = details.stderr || '';
+    }
+}
+
+// The CLI ran and reported a failure in its envelope, e.g. NoOrgFound or a failed deploy.
+// result holds whatever the command still returned, like the component failures of a deploy
+class SfCommandError extends SfCliError {
+    constructor(envelope, details) {
+        super(envelope.message || 'Command failed', details);
+        this.name = 'SfCommandError';
+        this.errorName = envelope.name || null;
+        this.envelope = envelope;
+        this.result = envelope.result || envelope.data || null;
+        this.warnings = envelope.warnings || [];
+    }
+}
+
+// The CLI printed no envelope: it crashed, was killed or printed something else
+class SfOutputError extends SfCliError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'SfOutputError';
+    }
+}
+
+// sf could not be started
+class SfNotInstalledError extends SfCliError {
+    constructor(details) {
+        super('Salesforce CLI (sf) not found. Install it and make sure it is on the PATH.', details);
+        this.name = 'SfNotInstalledError';
+    }
+}
+
+// Stopped with cancel()
+class SfCancelledError extends SfCliError {
+    constructor(details) {
+        super('Command cancelled', details);
+        this.name = 'SfCancelledError';
+    }
+}
+
+// Runs sf with the arguments and --json; resolves { status, result, warnings } or rejects with an SfCliError.
+// options: cwd, and sfPath to run another sf binary than the one on the PATH (also read from SF_CLI_PATH)
+function runSf(args, options = {}) {
+    return startSf(args, options).done;
+}
+
+// Like runSf, but returns { done, cancel } so a long command can be stopped.
+// On POSIX the command gets its own process group, so cancel also stops the processes it started
+function startSf(args, options = {}) {
+    const command = getCommand(options.sfPath || process.env.SF_CLI_PATH || 'sf', args.concat('--json'));
+    const child = spawn(command.file, command.args, {
+        cwd: options.cwd,
+        shell: command.shell,
+        detached: process.platform !== 'win32',
+        windowsHide: true
+    });
+    let stdout = '';
+    let stderr = '';
+    let cancelled = false;
+
+    const done = new Promise((resolve, reject) => {
+        let settled = false;
+        child.stdout.on('data', chunk => {
+            stdout += chunk;
+        });
+        child.stderr.on('data', chunk => {
+            stderr += chunk;
+        });
+        child.on('error', error => {
+            if (!settled) {
+                settled = true;
+                reject(error.code === 'ENOENT' ? new SfNotInstalledError({ stderr: error.message }) : new SfOutputError(error.message, { stderr }));
+            }
+        });
+        child.on('close', exitCode => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            const details = { exitCode, stdout, stderr };
+            if (cancelled) {
+                reject(new SfCancelledError(details));
+                return;
+            }
+
+            const envelope = parseEnvelope(stdout);
+            if (!envelope) {
+                // Shells report a missing command with exit code 127 on POSIX and 9009 on Windows
+                if (exitCode === 127 || exitCode === 9009) {
+                    reject(new SfNotInstalledError(details));
+                } else {
+                    reject(new SfOutputError(stderr.trim() || `sf exited with code ${exitCode}`, details));
+                }
+                return;
+            }
+
+            const status = envelope.status ?? exitCode;
+            if (status !== 0) {
+                reject(new SfCommandError(envelope, details));
+                return;
+            }
+            resolve({ status: 0, result: envelope.result, warnings: envelope.warnings || [] });
+        });
+    });
+
+    return {
+        done,
+        cancel() {
+            cancelled = true;
+            killProcessTree(child);
+        }
+    };
+}
+
+// The JSON document in stdout; anything the CLI printed before it, like an update notice, is skipped.
+// The envelope starts on a line of its own, so each line starting with '{' is tried until one parses to the end
+function parseEnvelope(stdout) {
+    const pattern = /^\{/gm;
+    let match;
+    while ((match = pattern.exec(stdout)) !== null) {
+        try {
+            const envelope = JSON.parse(stdout.substring(match.index));
+            if (envelope && typeof envelope === 'object') {
+                return envelope;
+            }
+        } catch (error) {
+            // Not the envelope, e.g. a notice line that starts with '{'
+        }
+    }
+    return null;
+}
+
+// sf is a .cmd script on Windows, which only runs through cmd.exe, so the arguments are quoted for it there
+function getCommand(sfPath, args) {
+    if (process.platform !== 'win32') {
+        return { file: sfPath, args, shell: false };
+    }
+    return { file: [sfPath].concat(args).map(quoteWindowsArgument).join(' '), args: [], shell: true };
+}
+
+// Quotes an argument for cmd.exe: inside double quotes &|<>^ are literal and a quote is doubled.
+// cmd.exe still expands %NAME% of an existing environment variable, which metadata names do not contain
+function quoteWindowsArgument(arg) {
+    if (/^[\w.:/\\@=-]+$/.test(arg)) {
+        return arg;
+    }
+    return `"${arg.replace(/"/g, '""')}"`;
+}
+
+function killProcessTree(child) {
+    if (!child.pid) {
+        return;
+    }
+    try {
+        if (process.platform === 'win32') {
+            execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+        } else {
+            process.kill(-child.pid, 'SIGTERM');
+        }
+    } catch (error) {
+        // Already exited
+    }
+}
+
+module.exports = {
+    runSf,
+    startSf,
+    parseEnvelope,
+    SfCliError,
+    SfCommandError,
+    SfOutputError,
+    SfNotInstalledError,
+    SfCancelledError
+};
@@ -0,0 +1,163 @@
+const path = require('path');
+
+// Maps source-format files in the package directories to metadata type and member names,
+// e.g. classes/Foo.cls -> ApexClass Foo, objects/Account/fields/X__c.field-meta.xml -> CustomField Account.X__c
+
+// Metadata directory -> type
+const DIRECTORY_TYPES = {
+    applications: 'CustomApplication',
+    approvalProcesses: 'ApprovalProcess',
+    assignmentRules: 'AssignmentRules',
+    aura: 'AuraDefinitionBundle',
+    autoResponseRules: 'AutoResponseRules',
+    classes: 'ApexClass',
+    components: 'ApexComponent',
+    connectedApps: 'ConnectedApp',
+    contentassets: 'ContentAsset',
+    cspTrustedSites: 'CspTrustedSite',
+    customMetadata: 'CustomMetadata',
+    customPermissions: 'CustomPermission',
+    dashboards: 'Dashboard',
+    documents: 'Document',
+    duplicateRules: 'DuplicateRule',
+    email: 'EmailTemplate',
+    escalationRules: 'EscalationRules',
+    experiences: 'ExperienceBundle',
+    externalCredentials: 'ExternalCredential',
+    flexipages: 'FlexiPage',
+    flows: 'Flow',
+    globalValueSets: 'GlobalValueSet',
+    groups: 'Group',
+    labels: 'CustomLabels',
+    layouts: 'Layout',
+    letterhead: 'Letterhead',
+    lwc: 'LightningComponentBundle',
+    matchingRules: 'MatchingRules',
+    messageChannels: 'LightningMessageChannel',
+    namedCredentials: 'NamedCredential',
+    notificationtypes: 'CustomNotificationType',
+    objects: 'CustomObject',
+    objectTranslations: 'CustomObjectTranslation',
+    pages: 'ApexPage',
+    pathAssistants: 'PathAssistant',
+    permissionsetgroups: 'PermissionSetGroup',
+    permissionsets: 'PermissionSet',
+    profiles: 'Profile',
+    queues: 'Queue',
+    quickActions: 'QuickAction',
+    remoteSiteSettings: 'RemoteSiteSetting',
+    reports: 'Report',
+    reportTypes: 'ReportType',
+    roles: 'Role',
+    settings: 'Settings',
+    sharingRules: 'SharingRules',
+    standardValueSets: 'StandardValueSet',
+    staticresources: 'StaticResource',
+    tabs: 'CustomTab',
+    translations: 'Translations',
+    triggers: 'ApexTrigger',
+    weblinks: 'CustomPageWebLink',
+    workflows: 'Workflow'
+};
+
+// Directories under objects/<Object>/ -> child type, named <Object>.<Member>
+const OBJECT_CHILD_TYPES = {
+    businessProcesses: 'BusinessProcess',
+    compactLayouts: 'CompactLayout',
+    fields: 'CustomField',
+    fieldSets: 'FieldSet',
+    indexes: 'Index',
+    listViews: 'ListView',
+    recordTypes: 'RecordType',
+    sharingReasons: 'SharingReason',
+    validationRules: 'ValidationRule',
+    webLinks: 'WebLink'
+};
+
+// Types made of a directory of files named after the component
+const BUNDLE_TYPES = ['AuraDefinitionBundle', 'ExperienceBundle', 'LightningComponentBundle', 'StaticResource'];
+
+// Types kept in folders; members are <Folder>/<Member> and folders are members themselves
+const FOLDER_TYPES = ['Dashboard', 'Document', 'EmailTemplate', 'Report'];
+
+// Strips -meta.xml and the file extension: Foo.cls-meta.xml -> Foo, Account-Account Layout.layout-meta.xml -> Account-Account Layout
+function stripSuffix(fileName) {
+    const name = fileName.replace(/-meta\.xml$/, '');
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.substring(0, dot) : name;
+}
+
+// Returns { type, apiName } for a path relative to a package directory, or null when the file is not metadata
+function getMetadataFromSourcePath(relativePath) {
+    const segments = relativePath.split(/[\\/]/).filter(segment => segment.length > 0);
+    const typeIndex = segments.findIndex(segment => DIRECTORY_TYPES[segment]);
+    if (typeIndex === -1 || typeIndex === segments.length - 1) {
+        return null;
+    }
+
+    const type = DIRECTORY_TYPES[segments[typeIndex]];
+    const rest = segments.slice(typeIndex + 1);
+
+    if (type === 'CustomObject') {
+        const objectName = stripSuffix(rest[0]);
+        const childType = rest.length >= 3 ? OBJECT_CHILD_TYPES[rest[1]] : null;
+        if (childType) {
+            return { type: childType, apiName: `${objectName}.${stripSuffix(rest[2])}` };
+        }
+        return { type, apiName: objectName };
+    }
+
+    if (BUNDLE_TYPES.includes(type)) {
+        if (rest.length > 1) {
+            return { type, apiName: rest[0] };
+        }
+        // Only static resources can be a single file next to their -meta.xml; loose files under lwc, aura
+        // and experiences are project config such as jsconfig.json and .eslintrc.json
+        return type === 'StaticResource' ? { type, apiName: stripSuffix(rest[0]) } : null;
+    }
+
+    if (FOLDER_TYPES.includes(type)) {
+        const fileName = rest[rest.length - 1];
+        const folders = rest.slice(0, -1);
+        if (type === 'Document' && fileName.endsWith('.document-meta.xml')) {
+            // A document's name includes the extension of its content file, which is mapped instead
+            return null;
+        }
+        const member = type === 'Document' && !fileName.endsWith('-meta.xml') ? fileName : stripSuffix(fileName);
+        return { type, apiName: folders.concat(member).join('/') };
+    }
+
+    if (rest.length > 1) {
+        return null;
+    }
+    return { type, apiName: stripSuffix(rest[0]) };
+}
+
+// Maps absolute file paths to unique { name, apiName, type } components; files outside packageDirectories or not recognised are counted as unmapped
+function mapSourceFiles(files, packageDirectories) {
+    const components = [];
+    let unmapped = 0;
+
+    files.forEach(file => {
+        const packageDirectory = packageDirectories.find(directory => {
+            const relative = path.relative(directory, file);
+            return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+        });
+        const metadata = packageDirectory ? getMetadataFromSourcePath(path.relative(packageDirectory, file)) : null;
+        if (!metadata) {
+            unmapped++;
+            return;
+        }
+        if (!components.some(comp => comp.type === metadata.type && comp.apiName === metadata.apiName)) {
+            components.push({ name: metadata.apiName, apiName: metadata.apiName, type: metadata.type });
+        }
+    });
+
+    components.sort((a, b) => a.type.localeCompare(b.type) || a.apiName.localeCompare(b.apiName));
+    return { components, unmapped };
+}
+
+module.exports = {
+    getMetadataFromSourcePath,
+    mapSourceFiles
+};
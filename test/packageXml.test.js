@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseXml,
+    serializeXml,
+    readPackageTypes,
+    readPackageVersion,
+    updatePackage,
+    buildPackageXml
+} = require('../src/packageXml');
+
+// A hand-edited manifest with the things a save has to leave alone
+const MANIFEST = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Release 42: keep the layouts in sync -->
+<Package xmlns="http://soap.sforce.com/2006/04/metadata">
+  <fullName>release-42</fullName>
+  <description><![CDATA[Accounts & <contacts>]]></description>
+  <types>
+    <!-- services only -->
+    <members>AccountService</members>
+    <members>ContactService</members>
+    <name>ApexClass</name>
+  </types>
+  <types>
+    <members>Account-Account &amp; Contact Layout</members>
+    <name>Layout</name>
+  </types>
+  <version>61.0</version>
+</Package>
+`;
+
+function update(xml, groupedComponents, apiVersion) {
+    return serializeXml(updatePackage(parseXml(xml), groupedComponents, apiVersion));
+}
+
+test('an unchanged manifest is written back byte for byte', () => {
+    assert.strictEqual(serializeXml(parseXml(MANIFEST)), MANIFEST);
+
+    const selected = {
+        ApexClass: ['AccountService', 'ContactService'],
+        Layout: ['Account-Account & Contact Layout']
+    };
+    assert.strictEqual(update(MANIFEST, selected, '62.0'), MANIFEST);
+});
+
+test('entities and CDATA are decoded when read', () => {
+    const document = parseXml(MANIFEST);
+
+    assert.deepStrictEqual(readPackageTypes(document), [
+        { name: 'ApexClass', members: ['AccountService', 'ContactService'] },
+        { name: 'Layout', members: ['Account-Account & Contact Layout'] }
+    ]);
+    assert.strictEqual(readPackageVersion(document), '61.0');
+
+    const cdata = parseXml('<Package><types><members><![CDATA[A&B]]></members><name>Report</name></types></Package>');
+    assert.deepStrictEqual(readPackageTypes(cdata), [{ name: 'Report', members: ['A&B'] }]);
+});
+
+test('a member is inserted in sorted position in its existing type', () => {
+    const xml = update(MANIFEST, {
+        ApexClass: ['AccountService', 'BillingService', 'ContactService'],
+        Layout: ['Account-Account & Contact Layout']
+    });
+
+    assert.strictEqual(xml, MANIFEST.replace(
+        '    <members>AccountService</members>\n',
+        '    <members>AccountService</members>\n    <members>BillingService</members>\n'
+    ));
+});
+
+test('a new type goes before the version with the file\'s indentation and escaped members', () => {
+    const xml = update(MANIFEST, {
+        ApexClass: ['AccountService', 'ContactService'],
+        Layout: ['Account-Account & Contact Layout'],
+        CustomLabel: ['Greeting<1>']
+    });
+
+    assert.strictEqual(xml, MANIFEST.replace(
+        '  <version>',
+        '  <types>\n    <members>Greeting&lt;1&gt;</members>\n    <name>CustomLabel</name>\n  </types>\n  <version>'
+    ));
+});
+
+test('removing the last member of a type removes the type', () => {
+    const xml = update(MANIFEST, { ApexClass: ['AccountService', 'ContactService'] });
+
+    assert.strictEqual(xml, MANIFEST.replace(
+        '  <types>\n    <members>Account-Account &amp; Contact Layout</members>\n    <name>Layout</name>\n  </types>\n',
+        ''
+    ));
+});
+
+test('removing a member keeps the comments around it', () => {
+    const xml = update(MANIFEST, {
+        ApexClass: ['ContactService'],
+        Layout: ['Account-Account & Contact Layout']
+    });
+
+    assert.strictEqual(xml, MANIFEST.replace('    <members>AccountService</members>\n', ''));
+});
+
+test('duplicate members are dropped and a missing version is added', () => {
+    const xml = update('<Package>\n    <types>\n        <members>A</members>\n        <members>A</members>\n        <name>ApexClass</name>\n    </types>\n</Package>',
+        { ApexClass: ['A'] }, '61.0');
+
+    assert.strictEqual(xml, '<Package>\n    <types>\n        <members>A</members>\n        <name>ApexClass</name>\n    </types>\n    <version>61.0</version>\n</Package>');
+});
+
+test('malformed XML is reported with its line', () => {
+    assert.throws(() => parseXml('<Package>\n<types>\n</Package>'), /Invalid XML at line 3: unexpected <\/Package>/);
+    assert.throws(() => parseXml('<Package>\n<!-- open'), /Invalid XML at line 2: unterminated comment/);
+    assert.throws(() => updatePackage(parseXml('<Manifest/>'), {}, '61.0'), /no <Package> element/);
+});
+
+test('a new manifest lists folders before their contents', () => {
+    const xml = buildPackageXml({ Report: ['Sales/Pipeline', 'Sales'] }, '61.0');
+
+    assert.strictEqual(xml, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Package xmlns="http://soap.sforce.com/2006/04/metadata">',
+        '    <types>',
+        '        <members>Sales</members>',
+        '        <members>Sales/Pipeline</members>',
+        '        <name>Report</name>',
+        '    </types>',
+        '    <version>61.0</version>',
+        '</Package>'
+    ].join('\n'));
+});
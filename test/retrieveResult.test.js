@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { interpretRetrieveResult, interpretRetrieveError } = require('../src/retrieveResult');
+const { SfCommandError } = require('../src/sfCli');
+
+// Fixtures are `sf project retrieve start --json` envelopes, as printed by the CLI
+function loadEnvelope(name) {
+    return require(path.join(__dirname, 'fixtures', 'retrieve', `${name}.json`));
+}
+
+// What runSf resolves for a successful envelope
+function interpretEnvelope(components, name) {
+    const envelope = loadEnvelope(name);
+    return interpretRetrieveResult(components, envelope.result, envelope.warnings);
+}
+
+// What runSf rejects with for a failed envelope
+function interpretFailedEnvelope(components, name) {
+    return interpretRetrieveError(components, new SfCommandError(loadEnvelope(name), { exitCode: 1 }));
+}
+
+test('clean success gives every component its files', () => {
+    const status = interpretEnvelope([{ type: 'ApexClass', apiName: 'AccountService' }], 'success');
+
+    assert.deepStrictEqual(status.results, [{
+        index: 0,
+        status: 'Success',
+        errorMessage: null,
+        files: [
+            '/work/project/force-app/main/default/classes/AccountService.cls',
+            '/work/project/force-app/main/default/classes/AccountService.cls-meta.xml'
+        ]
+    }]);
+    assert.deepStrictEqual(status.errors, []);
+    assert.strictEqual(status.errorMessage, null);
+    assert.strictEqual(status.errorType, null);
+    assert.deepStrictEqual(status.warnings, []);
+});
+
+test('a failed file fails its component only and keeps the CLI warnings', () => {
+    const status = interpretEnvelope([
+        { type: 'ApexClass', apiName: 'AccountService' },
+        { type: 'Layout', apiName: 'Account_Layout' }
+    ], 'failed-file');
+
+    assert.strictEqual(status.results[0].status, 'Success');
+    assert.strictEqual(status.results[0].files.length, 2);
+    assert.strictEqual(status.results[1].status, 'Failed');
+    assert.match(status.results[1].errorMessage, /An unexpected error occurred/);
+    assert.deepStrictEqual(status.results[1].files, []);
+    assert.strictEqual(status.errorType, 'component');
+    assert.deepStrictEqual(status.errors.map(error => error.component), [{ type: 'Layout', apiName: 'Account_Layout' }]);
+    assert.match(status.errors[0].message, /An unexpected error occurred/);
+    assert.strictEqual(status.warnings.length, 1);
+    assert.match(status.warnings[0], /--api-version flag is deprecated/);
+});
+
+test('a failed retrieve that still returned its files is interpreted as a result', () => {
+    const envelope = Object.assign({}, loadEnvelope('failed-file'), { status: 1, name: 'RetrieveFailed', message: 'Retrieve failed' });
+    const status = interpretRetrieveError([
+        { type: 'ApexClass', apiName: 'AccountService' },
+        { type: 'Layout', apiName: 'Account_Layout' }
+    ], new SfCommandError(envelope, { exitCode: 1 }));
+
+    assert.deepStrictEqual(status.results.map(result => result.status), ['Success', 'Failed']);
+    assert.strictEqual(status.errorType, 'component');
+    assert.strictEqual(status.warnings.length, 1);
+});
+
+test('a component reported missing in messages is Not Found, other messages become warnings', () => {
+    const status = interpretEnvelope([
+        { type: 'ApexClass', apiName: 'AccountService' },
+        { type: 'ApexClass', apiName: 'RemovedService' }
+    ], 'not-found-message');
+
+    assert.strictEqual(status.results[0].status, 'Success');
+    assert.deepStrictEqual(status.results[1], { index: 1, status: 'Not Found', errorMessage: 'Not found in the org', files: [] });
+    assert.strictEqual(status.errorType, 'component');
+    assert.deepStrictEqual(status.errors, [{ component: { type: 'ApexClass', apiName: 'RemovedService' }, message: 'Not found in the org' }]);
+    assert.deepStrictEqual(status.warnings, [
+        'unpackaged/package.xml: Load of metadata from db failed for metadata of type:Profile and file name:Admin.'
+    ]);
+});
+
+test('a component reported missing as a failed file is Not Found, not Failed', () => {
+    const status = interpretEnvelope([{ type: 'ApexClass', apiName: 'RemovedService' }], 'not-found-file');
+
+    assert.strictEqual(status.results[0].status, 'Not Found');
+    assert.strictEqual(status.errorType, 'component');
+    assert.deepStrictEqual(status.errors, [{ component: { type: 'ApexClass', apiName: 'RemovedService' }, message: 'Not found in the org' }]);
+    assert.deepStrictEqual(status.warnings, []);
+});
+
+test('a metadata format retrieve is matched through fileProperties', () => {
+    const status = interpretEnvelope([
+        { type: 'ApexClass', apiName: 'AccountService' },
+        { type: 'CustomObject', apiName: 'Account' }
+    ], 'metadata-format');
+
+    assert.deepStrictEqual(status.results.map(result => result.status), ['Success', 'Success']);
+    assert.deepStrictEqual(status.results[0].files, ['unpackaged/classes/AccountService.cls']);
+    assert.deepStrictEqual(status.results[1].files, ['unpackaged/objects/Account.object']);
+    assert.strictEqual(status.errorType, null);
+});
+
+test('a wildcard row lists the retrieved components of its type', () => {
+    const status = interpretEnvelope([
+        { type: 'LightningComponentBundle', apiName: '*' },
+        { type: 'ApexClass', apiName: 'AccountService' }
+    ], 'wildcard');
+    const wildcard = status.results[0];
+
+    assert.strictEqual(wildcard.status, 'Failed');
+    assert.strictEqual(wildcard.errorMessage, '1 of 2 components failed');
+    assert.deepStrictEqual(wildcard.members, [
+        { name: 'accountCard', status: 'Success', errorMessage: null },
+        { name: 'brokenWidget', status: 'Failed', errorMessage: 'brokenWidget: Invalid reference c/missingModule' }
+    ]);
+    assert.strictEqual(wildcard.files.length, 3);
+    assert.ok(wildcard.files.every(file => file.includes('/lwc/accountCard/')));
+    assert.strictEqual(status.results[1].status, 'Success');
+});
+
+test('components with the same name and different types are matched by type', () => {
+    const status = interpretEnvelope([
+        { type: 'CustomObject', apiName: 'Account' },
+        { type: 'ApexTrigger', apiName: 'Account' }
+    ], 'same-name');
+
+    assert.strictEqual(status.results[0].status, 'Success');
+    assert.deepStrictEqual(status.results[0].files, ['/work/project/force-app/main/default/objects/Account/Account.object-meta.xml']);
+    assert.strictEqual(status.results[1].status, 'Failed');
+    assert.strictEqual(status.results[1].errorMessage, 'Account: Variable does not exist: Industryy');
+    assert.deepStrictEqual(status.errors, [{
+        component: { type: 'ApexTrigger', apiName: 'Account' },
+        message: 'Account: Variable does not exist: Industryy'
+    }]);
+});
+
+test('the Could not find HEAD error counts as success', () => {
+    const status = interpretFailedEnvelope([
+        { type: 'ApexClass', apiName: 'AccountService' },
+        { type: 'CustomObject', apiName: 'Account' }
+    ], 'head-error');
+
+    assert.deepStrictEqual(status.results.map(result => result.status), ['Success', 'Success']);
+    assert.strictEqual(status.errorMessage, null);
+    assert.strictEqual(status.errorType, null);
+});
+
+test('any other command error fails every component with its message', () => {
+    const status = interpretFailedEnvelope([
+        { type: 'ApexClass', apiName: 'AccountService' },
+        { type: 'CustomObject', apiName: 'Account' }
+    ], 'command-error');
+
+    assert.deepStrictEqual(status.results.map(result => result.status), ['Failed', 'Failed']);
+    assert.strictEqual(status.errorMessage, 'No authorization information found for dev.');
+    assert.strictEqual(status.errorType, null);
+    assert.deepStrictEqual(status.warnings, ['Update available from 2.40.7 to 2.41.8.']);
+});
+
+test('error messages are returned as plain text, not markup', () => {
+    const status = interpretRetrieveResult([{ type: 'ApexClass', apiName: '<img src=x>' }], {
+        files: [{ fullName: '<img src=x>', type: 'ApexClass', state: 'Failed', error: 'Unexpected <script>' }]
+    }, []);
+
+    assert.deepStrictEqual(status.errors, [{ component: { type: 'ApexClass', apiName: '<img src=x>' }, message: 'Unexpected <script>' }]);
+    assert.strictEqual(status.errorMessage, null);
+});
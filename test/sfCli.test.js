@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+    runSf,
+    startSf,
+    parseEnvelope,
+    SfCommandError,
+    SfOutputError,
+    SfNotInstalledError,
+    SfCancelledError
+} = require('../src/sfCli');
+
+// A node script standing in for sf; on Windows sf runs through cmd.exe, which cannot start it
+const sfPath = path.join(__dirname, 'fixtures', 'sf', 'sf');
+const posixOnly = { skip: process.platform === 'win32' };
+
+test('a success envelope resolves with its result and warnings', posixOnly, async () => {
+    const response = await runSf(['success', 'it\'s $(not) "expanded"'], { sfPath });
+
+    assert.strictEqual(response.status, 0);
+    assert.deepStrictEqual(response.result, { apiVersion: '61.0', args: ['it\'s $(not) "expanded"', '--json'] });
+    assert.deepStrictEqual(response.warnings, ['Update available from 2.40.7 to 2.41.8.']);
+});
+
+test('the binary can be set with SF_CLI_PATH', posixOnly, async () => {
+    const previous = process.env.SF_CLI_PATH;
+    process.env.SF_CLI_PATH = sfPath;
+    try {
+        const response = await runSf(['success']);
+        assert.strictEqual(response.result.apiVersion, '61.0');
+    } finally {
+        if (previous === undefined) {
+            delete process.env.SF_CLI_PATH;
+        } else {
+            process.env.SF_CLI_PATH = previous;
+        }
+    }
+});
+
+test('text printed before the envelope is skipped', posixOnly, async () => {
+    const response = await runSf(['notice'], { sfPath });
+
+    assert.deepStrictEqual(response.result, { id: '0055g00000DqyQaAAJ' });
+});
+
+test('a failure envelope rejects with SfCommandError carrying its result and warnings', posixOnly, async () => {
+    await assert.rejects(runSf(['fail'], { sfPath }), error => {
+        assert.ok(error instanceof SfCommandError);
+        assert.strictEqual(error.message, 'Deploy failed.');
+        assert.strictEqual(error.errorName, 'FailedDeploy');
+        assert.strictEqual(error.exitCode, 1);
+        assert.strictEqual(error.result.files[0].error, 'Unexpected token');
+        assert.deepStrictEqual(error.warnings, ['The --api-version flag is deprecated.']);
+        return true;
+    });
+});
+
+test('output without an envelope rejects with SfOutputError', posixOnly, async () => {
+    await assert.rejects(runSf(['crash'], { sfPath }), error => {
+        assert.ok(error instanceof SfOutputError);
+        assert.strictEqual(error.message, 'sf crashed');
+        assert.strictEqual(error.exitCode, 2);
+        assert.strictEqual(error.stdout, 'Segmentation fault\n');
+        return true;
+    });
+});
+
+test('a binary that does not exist rejects with SfNotInstalledError', posixOnly, async () => {
+    await assert.rejects(runSf(['success'], { sfPath: path.join(__dirname, 'fixtures', 'sf', 'missing-sf') }), SfNotInstalledError);
+});
+
+test('exit code 127 without output rejects with SfNotInstalledError', posixOnly, async () => {
+    await assert.rejects(runSf(['missing'], { sfPath }), error => {
+        assert.ok(error instanceof SfNotInstalledError);
+        assert.strictEqual(error.exitCode, 127);
+        return true;
+    });
+});
+
+test('cancel stops the command and rejects with SfCancelledError', posixOnly, async () => {
+    const command = startSf(['hang'], { sfPath });
+    setTimeout(() => command.cancel(), 200);
+
+    await assert.rejects(command.done, SfCancelledError);
+});
+
+test('parseEnvelope finds the envelope after lines starting with a brace', () => {
+    const stdout = '{ not json\n{"status":0,"result":{"a":1}}\n';
+
+    assert.deepStrictEqual(parseEnvelope(stdout), { status: 0, result: { a: 1 } });
+    assert.strictEqual(parseEnvelope('Segmentation fault\n'), null);
+    assert.strictEqual(parseEnvelope(''), null);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { getMetadataFromSourcePath, mapSourceFiles } = require('../src/sourceMetadata');
+
+test('single-file types are named after the file', () => {
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/classes/AccountService.cls'), { type: 'ApexClass', apiName: 'AccountService' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/classes/AccountService.cls-meta.xml'), { type: 'ApexClass', apiName: 'AccountService' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/layouts/Account-Account Layout.layout-meta.xml'), { type: 'Layout', apiName: 'Account-Account Layout' });
+});
+
+test('object children are named after their object', () => {
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/objects/Account/Account.object-meta.xml'), { type: 'CustomObject', apiName: 'Account' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/objects/Account/fields/Status__c.field-meta.xml'), { type: 'CustomField', apiName: 'Account.Status__c' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/objects/Invoice__c/recordTypes/Draft.recordType-meta.xml'), { type: 'RecordType', apiName: 'Invoice__c.Draft' });
+});
+
+test('files of a bundle map to the bundle', () => {
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/lwc/accountCard/accountCard.js'), { type: 'LightningComponentBundle', apiName: 'accountCard' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/lwc/accountCard/__tests__/accountCard.test.js'), { type: 'LightningComponentBundle', apiName: 'accountCard' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/aura/AccountApp/AccountAppController.js'), { type: 'AuraDefinitionBundle', apiName: 'AccountApp' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/staticresources/jquery/jquery.min.js'), { type: 'StaticResource', apiName: 'jquery' });
+});
+
+test('loose config files under lwc, aura and experiences are not metadata', () => {
+    assert.strictEqual(getMetadataFromSourcePath('main/default/lwc/jsconfig.json'), null);
+    assert.strictEqual(getMetadataFromSourcePath('main/default/lwc/.eslintrc.json'), null);
+    assert.strictEqual(getMetadataFromSourcePath('main/default/aura/.eslintrc.json'), null);
+    assert.strictEqual(getMetadataFromSourcePath('main/default/experiences/.eslintrc.json'), null);
+});
+
+test('a static resource can be a single file next to its -meta.xml', () => {
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/staticresources/logo.resource-meta.xml'), { type: 'StaticResource', apiName: 'logo' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/staticresources/logo.png'), { type: 'StaticResource', apiName: 'logo' });
+});
+
+test('folder-based members include their folders', () => {
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/reports/Sales/Q1/Pipeline.report-meta.xml'), { type: 'Report', apiName: 'Sales/Q1/Pipeline' });
+    assert.deepStrictEqual(getMetadataFromSourcePath('main/default/documents/Logos/logo.png'), { type: 'Document', apiName: 'Logos/logo.png' });
+    assert.strictEqual(getMetadataFromSourcePath('main/default/documents/Logos/logo.png.document-meta.xml'), null);
+});
+
+test('files outside metadata directories are not metadata', () => {
+    assert.strictEqual(getMetadataFromSourcePath('main/default/classes'), null);
+    assert.strictEqual(getMetadataFromSourcePath('scripts/apex/hello.apex'), null);
+});
+
+test('mapSourceFiles lists each component once and counts unmapped files', () => {
+    const packageDirectory = path.join(path.sep, 'work', 'project', 'force-app');
+    const file = relative => path.join(packageDirectory, ...relative.split('/'));
+    const mapped = mapSourceFiles([
+        file('main/default/lwc/accountCard/accountCard.js'),
+        file('main/default/lwc/accountCard/accountCard.html'),
+        file('main/default/lwc/jsconfig.json'),
+        file('main/default/classes/AccountService.cls'),
+        path.join(path.sep, 'work', 'project', 'README.md')
+    ], [packageDirectory]);
+
+    assert.deepStrictEqual(mapped.components, [
+        { name: 'AccountService', apiName: 'AccountService', type: 'ApexClass' },
+        { name: 'accountCard', apiName: 'accountCard', type: 'LightningComponentBundle' }
+    ]);
+    assert.strictEqual(mapped.unmapped, 2);
+});